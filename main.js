@@ -1,601 +1,5322 @@
-const { Plugin, PluginSettingTab, Setting, Notice } = require("obsidian");
+const { Plugin, PluginSettingTab, Setting, Notice, Modal, ItemView } = require("obsidian");
 const fs = require("node:fs").promises;
 const path = require("node:path");
-const { exec } = require("node:child_process");
+const { execFile, exec } = require("node:child_process");
+const crypto = require("node:crypto");
+const http = require("node:http");
+const https = require("node:https");
+const zlib = require("node:zlib");
+const YAML = require("yaml");
 
 const DEFAULT_SETTINGS = {
     autoSlug: false, // 全局slug开关
-    slugGenerationMethod: "random", // 'random' or 'sequential'
+    slugGenerationMethod: "random", // 'random', 'sequential' or 'title'
     sequentialSlugStart: 1,
+    titleSlugSeparator: "-", // 标题slug的单词分隔符
+    titleSlugMaxLength: 60,
+    titleSlugLowercase: true,
+    maxDeletePercent: 50, // 严格同步一次删除超过目标文件夹中该比例的文件时拒绝执行，0 表示不限制
+    trashRetentionDays: 30, // 回收站中被删除文件的保留天数
+    outputProfiles: [], // 自定义输出配置，字段见 BUILTIN_OUTPUT_PROFILES
     blogs: [
         {
             name: "默认博客",
-            blogRepoPath: "", // Git仓库的根目录
-            autoGit: false,
+            blogRepoPath: "", // 博客的本地文件夹，使用Git推送时为Git仓库的根目录
+            deliveryType: "none", // 同步后的发布方式：none、git、webdav、sftp、s3、archive，见 DELIVERY_TARGETS
+            delivery: {}, // 各发布方式的设置 { webdav: { url, ... }, ... }
             gitPushBranch: "main",
+            gitPullRebase: false, // 推送前先 git pull --rebase
+            gitRequireClean: false, // 仓库中有其他未提交的修改时拒绝发布
+            commitMessageTemplate: "更新文件：{files}", // 提交信息模板，占位符见设置页
+            commitMessageBody: false, // 在提交信息正文中逐行列出所有变更
+            autoPublish: false, // 自动推送
+            autoPublishInterval: 0, // 定时推送间隔（分钟），0 表示不定时
+            autoPublishOnChange: false, // 源文件夹中的文件变化后推送
+            autoPublishDelay: 60, // 文件变化后等待的秒数，期间的连续修改只触发一次
+            convertWikiLinks: true, // 将双链和嵌入转换为标准Markdown
+            noteLinkFormat: "/{target}/{slug}", // 笔记链接格式
+            attachmentLinkFormat: "/{target}/{path}", // 附件链接格式
+            unpublishedLinkAction: "text", // 'text' 转为纯文本；'warn' 转为纯文本并提示
+            outputProfile: "", // 输出配置：内置的 hugo、hexo、astro、jekyll 或自定义配置的ID，留空不转换
             pathMappings: [
                 {
                     source: "", // 源文件夹（相对于仓库）
                     target: "", // 目标文件夹（相对于Git仓库根目录）
                     enableFolderMatching: false, // 严格同步
+                    includeAttachments: false, // 收集笔记引用的附件
+                    attachmentsFolder: "assets", // 附件文件夹（相对于目标文件夹）
+                    publishFlag: "", // 必须为 true 的front matter字段，例如 publish，留空不要求
+                    excludeDrafts: false, // 排除 draft: true 的笔记
+                    includeTags: [],
+                    excludeTags: [],
+                    includePatterns: [], // 相对于源文件夹的路径通配符
+                    excludePatterns: [],
+                    outputProfile: "", // 留空使用博客的输出配置，"none" 表示不转换
+                    frontMatterRules: [], // 发布时修改front matter的规则，见 applyFrontMatterRules
+                    slugIncludePatterns: [], // 只为匹配的笔记添加slug，相对于源文件夹
+                    slugExcludePatterns: [],
                 },
             ],
         },
     ],
 };
 
-module.exports = class MultiBlogPublisher extends Plugin {
-    async onload() {
-        await this.loadSettings();
-        
-        this.dataPath = path.join(
-            this.app.vault.adapter.basePath, 
-            ".obsidian", 
-            "plugins", 
-            this.manifest.id
-        );
-        
-        await fs.mkdir(this.dataPath, { recursive: true });
+// 博客和推送记录的ID
+function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
 
-        this.addRibbonIcon("clipboard-paste", "笔记推送", async () => {
-            await this.copyMarkdownFiles();
+function hashContent(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// --- Git ---
+
+const GIT_ERROR_MESSAGES = {
+    notInstalled: "找不到git命令，请确认已安装Git",
+    notRepo: "博客仓库路径不是Git仓库",
+    auth: "Git认证失败，请检查凭据或SSH密钥",
+    nonFastForward: "远程分支有新的提交，推送被拒绝。可开启“推送前拉取”或手动合并",
+    conflict: "拉取时出现合并冲突，已取消变基，请手动处理",
+    network: "无法连接远程仓库，请检查网络",
+    dirty: "博客仓库中有其他未提交的修改，已拒绝发布",
+    unknown: "Git操作失败",
+};
+
+class GitError extends Error {
+    constructor(kind, stderr = "", detail = "") {
+        super(GIT_ERROR_MESSAGES[kind] || GIT_ERROR_MESSAGES.unknown);
+        this.name = "GitError";
+        this.kind = kind;
+        this.stderr = stderr;
+        this.detail = detail;
+    }
+}
+
+function classifyGitError(output) {
+    if (/not a git repository/i.test(output)) return "notRepo";
+    if (/CONFLICT|could not apply|unmerged|needs merge/i.test(output)) return "conflict";
+    if (/non-fast-forward|fetch first|Updates were rejected/i.test(output)) return "nonFastForward";
+    if (/Authentication failed|could not read Username|Permission denied \(publickey\)|returned error: 403|Invalid username or password/i.test(output)) return "auth";
+    if (/Could not resolve host|Connection timed out|Connection refused|unable to access/i.test(output)) return "network";
+    return "unknown";
+}
+
+// 不经过shell直接执行git，参数以数组传入，文件名和提交信息中的引号不会被解释。
+// input 会写入标准输入，用于 --pathspec-from-file=- 传递大量路径
+function runGit(cwd, args, input = null) {
+    return new Promise((resolve, reject) => {
+        const child = execFile("git", args, { cwd, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const kind = error.code === "ENOENT" ? "notInstalled" : classifyGitError(`${stderr}\n${stdout}`);
+                reject(new GitError(kind, stderr || error.message));
+            } else {
+                resolve({ stdout, stderr });
+            }
         });
+        if (input !== null) {
+            child.stdin.on("error", () => {});
+            child.stdin.end(input);
+        }
+    });
+}
+
+// 路径按字面匹配（不解析通配符），通过标准输入以 NUL 分隔传入
+function runGitWithPaths(cwd, args, paths) {
+    return runGit(cwd, ["--literal-pathspecs", ...args, "--pathspec-from-file=-", "--pathspec-file-nul"], paths.join("\0"));
+}
+
+function splitNul(output) {
+    return output.split("\0").filter(Boolean);
+}
 
-        this.addSettingTab(new MultiBlogSettingTab(this.app, this));
+// --- 投递目标：文件同步到本地博客文件夹后，再送到Git远程、静态主机、存储桶或归档文件 ---
+
+class DeliveryError extends Error {
+    constructor(message, detail = "") {
+        super(message);
+        this.name = "DeliveryError";
+        this.detail = detail;
     }
+}
 
-    async loadSettings() {
-        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
-    
-        // --- 迁移逻辑开始 ---
-        let needsSave = false;
-    
-        // 检查是否存在旧的全局 source_folder，这是旧配置的标志
-        if (this.settings.source_folder && this.settings.blogs) {
-            
-            this.settings.blogs.forEach(blog => {
-                // 如果博客配置中有 target_folder 且没有 pathMappings，则判定为需要迁移的旧配置
-                if (blog.target_folder && !blog.pathMappings) {
-                    
-                    // 将旧的 target_folder 作为新的 blogRepoPath
-                    blog.blogRepoPath = blog.target_folder;
-    
-                    // 基于旧的全局 source_folder 和博客设置创建路径映射
-                    blog.pathMappings = [{
-                        source: this.settings.source_folder,
-                        target: "", // 目标路径现在相对于 blogRepoPath，所以这里留空
-                        enableFolderMatching: blog.enableFolderMatching || false
-                    }];
-    
-                    // 删除已迁移的旧字段
-                    delete blog.target_folder;
-                    delete blog.enableFolderMatching;
-                    
-                    needsSave = true;
-                }
-            });
-    
-            // 删除全局的旧字段
-            delete this.settings.source_folder;
+// 使用Node的http模块发送请求，不受跨域限制。返回 { status, headers, body }
+function httpRequest(url, { method = "GET", headers = {}, body = null } = {}) {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.request(target, { method, headers }, response => {
+            const chunks = [];
+            response.on("data", chunk => chunks.push(chunk));
+            response.on("end", () => resolve({
+                status: response.statusCode,
+                headers: response.headers,
+                body: Buffer.concat(chunks),
+            }));
+        });
+        request.on("error", error => reject(new DeliveryError(`无法连接 ${target.host}`, error.message)));
+        request.setTimeout(60000, () => request.destroy(new Error("请求超时")));
+        request.end(body);
+    });
+}
+
+const CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".md": "text/markdown; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".json": "application/json",
+    ".xml": "application/xml",
+    ".txt": "text/plain; charset=utf-8",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".svg": "image/svg+xml",
+    ".pdf": "application/pdf",
+};
+
+function contentType(file) {
+    return CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+}
+
+// 按 RFC 3986 编码路径的每一段
+function encodePathSegments(key) {
+    return key.split("/").map(segment =>
+        encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+    ).join("/");
+}
+
+// 使用 AWS Signature V4 签名，headers 中的所有字段都参与签名。返回带 Authorization 的新headers
+function signS3Request({ method, url, headers, region, accessKeyId, secretAccessKey, date = new Date() }) {
+    const target = new URL(url);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+    const signedHeaders = { ...headers, host: target.host, "x-amz-date": amzDate };
+
+    const names = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+    const lookup = Object.fromEntries(Object.entries(signedHeaders).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lookup[name]).trim()}\n`).join("");
+    const canonicalQuery = [...target.searchParams.entries()]
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+        .sort()
+        .join("&");
+    const canonicalRequest = [
+        method,
+        target.pathname,
+        canonicalQuery,
+        canonicalHeaders,
+        names.join(";"),
+        lookup["x-amz-content-sha256"],
+    ].join("\n");
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, hashContent(canonicalRequest)].join("\n");
+    const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), "s3"), "aws4_request");
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    return {
+        ...signedHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+    };
+}
+
+function requireOptions(options, keys, label) {
+    const missing = keys.filter(key => !options[key]);
+    if (missing.length > 0) {
+        throw new DeliveryError(`${label}设置不完整`, `缺少 ${missing.join(", ")}`);
+    }
+}
+
+async function deliverWebDav({ options, root, uploads, deletions }) {
+    requireOptions(options, ["url"], "WebDAV");
+    const base = options.url.replace(/\/+$/, "");
+    const auth = options.username
+        ? { Authorization: `Basic ${Buffer.from(`${options.username}:${options.password}`).toString("base64")}` }
+        : {};
+    const check = (response, action, key) => {
+        if (response.status === 401 || response.status === 403) {
+            throw new DeliveryError("WebDAV认证失败", `HTTP ${response.status}`);
         }
-    
-        // 确保所有博客配置都有 pathMappings 数组，防止后续操作出错
-        if (this.settings.blogs) {
-            this.settings.blogs.forEach(blog => {
-                if (!blog.pathMappings) {
-                    blog.pathMappings = [];
-                    needsSave = true;
-                }
-            });
+        if (response.status >= 400) {
+            throw new DeliveryError(`WebDAV${action}失败`, `${key}: HTTP ${response.status}`);
         }
-    
-        // 如果执行了迁移，则将新配置保存回 data.json 文件
-        if (needsSave) {
-            await this.saveSettings();
+    };
+
+    const createdDirs = new Set();
+    for (const key of uploads) {
+        const dirs = key.split("/").slice(0, -1);
+        for (let i = 1; i <= dirs.length; i++) {
+            const dir = dirs.slice(0, i).join("/");
+            if (createdDirs.has(dir)) continue;
+            const response = await httpRequest(`${base}/${encodePathSegments(dir)}/`, { method: "MKCOL", headers: auth });
+            // 405 表示文件夹已存在
+            if (response.status !== 405) check(response, "创建文件夹", dir);
+            createdDirs.add(dir);
         }
-        // --- 迁移逻辑结束 ---
+
+        const body = await fs.readFile(path.join(root, key));
+        const response = await httpRequest(`${base}/${encodePathSegments(key)}`, {
+            method: "PUT",
+            headers: { ...auth, "Content-Type": contentType(key), "Content-Length": body.length },
+            body,
+        });
+        check(response, "上传", key);
     }
 
-    async saveSettings() {
-        await this.saveData(this.settings);
+    for (const key of deletions) {
+        const response = await httpRequest(`${base}/${encodePathSegments(key)}`, { method: "DELETE", headers: auth });
+        if (response.status !== 404) check(response, "删除", key);
     }
+}
 
-    async copyMarkdownFiles() {
-        if (!this.settings.blogs || this.settings.blogs.length === 0) {
-            new Notice("请先配置至少一个博客");
-            return;
+async function deliverS3({ options, root, uploads, deletions }) {
+    requireOptions(options, ["endpoint", "bucket", "accessKeyId", "secretAccessKey"], "S3");
+    const endpoint = new URL(options.endpoint);
+    const prefix = (options.prefix || "").replace(/^\/+|\/+$/g, "");
+    const urlFor = key => {
+        const objectPath = encodePathSegments(prefix ? `${prefix}/${key}` : key);
+        return options.pathStyle
+            ? `${endpoint.origin}/${options.bucket}/${objectPath}`
+            : `${endpoint.protocol}//${options.bucket}.${endpoint.host}/${objectPath}`;
+    };
+    const send = async (method, key, body = null) => {
+        const headers = { "x-amz-content-sha256": hashContent(body || "") };
+        if (body) {
+            headers["content-type"] = contentType(key);
+            headers["content-length"] = body.length;
         }
-    
-        for (const blog of this.settings.blogs) {
-            if (!blog.blogRepoPath || !blog.pathMappings || blog.pathMappings.length === 0) {
-                new Notice(`博客 "${blog.name}" 配置不完整，已跳过`);
-                continue;
-            }
-    
-            let allChangedFilesForBlog = [];
-            let hasChanges = false;
-    
-            try {
-                // 方法：copyMarkdownFiles
-                for (const mapping of blog.pathMappings) {
-                    const sourceAbs = path.isAbsolute(mapping.source)
-                        ? mapping.source
-                        : path.join(this.app.vault.adapter.basePath, mapping.source);
-                
-                    const targetAbs = path.isAbsolute(mapping.target || "")
-                        ? mapping.target
-                        : path.join(blog.blogRepoPath, mapping.target || "");
-                    
-                    await fs.mkdir(targetAbs, { recursive: true });
-    
-                    // 在同步前处理slug
-                    const allFilesInSource = await fs.readdir(sourceAbs).catch(() => []);
-                    const mdFiles = allFilesInSource.filter(
-                        (file) => path.extname(file).toLowerCase() === ".md"
-                    );
-                    const filesToProcessForSlug = await this.getFilesToProcess(mdFiles, sourceAbs);
-    
-                    if (this.settings.autoSlug && filesToProcessForSlug.length > 0) {
-                        await this.addSlugsToFiles(filesToProcessForSlug, sourceAbs);
-                    }
-    
-                    // 同步文件并获取变更列表
-                    const changedFiles = await this.syncDirectories(sourceAbs, targetAbs, mapping.enableFolderMatching);
-                    if (changedFiles.length > 0) {
-                        hasChanges = true;
-                        const changedFilePaths = changedFiles.map(f => path.join(mapping.target || "", f).replace(/\\/g, '/'));
-                        allChangedFilesForBlog.push(...changedFilePaths);
-                    }
-                }
-    
-                if (hasChanges) {
-                    if (blog.autoGit) {
-                        const commitMessage = this.createCommitMessage(allChangedFilesForBlog);
-                        await this.autoPushToBlog(blog.blogRepoPath, blog.gitPushBranch, commitMessage);
-                    }
-                    new Notice(`博客 "${blog.name}" 内容已同步`);
-                } else {
-                    new Notice(`博客 "${blog.name}" 无内容更新`);
-                }
-    
-            } catch (error) {
-                console.error(`处理博客 ${blog.name} 出错:`, error);
-                new Notice(`推送 ${blog.name} 失败: ${error.message}`);
-            }
+        const url = urlFor(key);
+        const response = await httpRequest(url, {
+            method,
+            headers: signS3Request({ ...options, method, url, headers, region: options.region || "us-east-1" }),
+            body,
+        });
+        if (response.status >= 300 && !(method === "DELETE" && response.status === 404)) {
+            const code = /<Code>([^<]+)<\/Code>/.exec(response.body.toString("utf8"));
+            const detail = `${key}: HTTP ${response.status}${code ? ` ${code[1]}` : ""}`;
+            if (response.status === 403) throw new DeliveryError("S3认证失败", detail);
+            throw new DeliveryError(method === "PUT" ? "S3上传失败" : "S3删除失败", detail);
         }
-    }
+    };
 
-    createCommitMessage(changedFiles) {
-        const fileCount = changedFiles.length;
-        if (fileCount === 0) return "自动提交";
-    
-        // 仅提取文件名，并去重
-        const filenames = Array.from(new Set(
-            changedFiles.map(p => (p || "").split(/[\\/]/).pop())
-        ));
-    
-        const fileList = filenames.slice(0, 5).join(", ");
-        return `更新文件：${fileList}${filenames.length > 5 ? ` 等${filenames.length}个文件` : ""}`;
+    for (const key of uploads) {
+        await send("PUT", key, await fs.readFile(path.join(root, key)));
     }
+    for (const key of deletions) {
+        await send("DELETE", key);
+    }
+}
 
-    async getFilesToProcess(mdFiles, source) {
-        const processTimestampPath = path.join(this.dataPath, ".lastProcessTimestamp");
-        let lastProcessTimestamp = 0;
-        try {
-            lastProcessTimestamp = parseInt(await fs.readFile(processTimestampPath), 10);
-        } catch {}
+async function deliverSftp({ options, root, uploads, deletions }) {
+    requireOptions(options, ["host", "username"], "SFTP");
+    const { Client } = require("ssh2");
+    const client = new Client();
+    const privateKey = options.privateKeyPath ? await fs.readFile(options.privateKeyPath) : undefined;
 
-        const filesToProcess = [];
-        for (const file of mdFiles) {
-            const filePath = path.join(source, file);
-            const stats = await fs.stat(filePath);
-            if (stats.mtimeMs > lastProcessTimestamp || !(await this.hasSlug(filePath))) {
-                filesToProcess.push(file);
+    await new Promise((resolve, reject) => {
+        client.on("ready", resolve);
+        client.on("error", error => reject(new DeliveryError("SFTP连接失败", error.message)));
+        client.connect({
+            host: options.host,
+            port: Number(options.port) || 22,
+            username: options.username,
+            password: options.password || undefined,
+            privateKey,
+            readyTimeout: 30000,
+        });
+    });
+
+    try {
+        const sftp = await new Promise((resolve, reject) => {
+            client.sftp((error, session) => (error ? reject(new DeliveryError("无法打开SFTP会话", error.message)) : resolve(session)));
+        });
+        const call = (method, ...args) => new Promise((resolve, reject) => {
+            sftp[method](...args, error => (error ? reject(error) : resolve()));
+        });
+        const remotePath = key => path.posix.join(options.remotePath || ".", key);
+
+        const createdDirs = new Set();
+        for (const key of uploads) {
+            const dirs = key.split("/").slice(0, -1);
+            for (let i = 1; i <= dirs.length; i++) {
+                const dir = remotePath(dirs.slice(0, i).join("/"));
+                if (createdDirs.has(dir)) continue;
+                // 文件夹已存在时忽略错误，上传失败时再报告
+                await call("mkdir", dir).catch(() => {});
+                createdDirs.add(dir);
             }
+            await call("fastPut", path.join(root, key), remotePath(key)).catch(error => {
+                throw new DeliveryError("SFTP上传失败", `${key}: ${error.message}`);
+            });
         }
 
-        await fs.writeFile(processTimestampPath, Date.now().toString());
-        return filesToProcess;
+        for (const key of deletions) {
+            await call("unlink", remotePath(key)).catch(error => {
+                // 2 为 SSH_FX_NO_SUCH_FILE
+                if (error.code !== 2) throw new DeliveryError("SFTP删除失败", `${key}: ${error.message}`);
+            });
+        }
+    } finally {
+        client.end();
     }
+}
 
-    async hasSlug(filePath) {
-        try {
-            const content = await fs.readFile(filePath, "utf8");
-            return content.includes("\nslug:");
-        } catch { return false; }
-    }
+// --- 归档 ---
 
-    async addSlugsToFiles(files, source) {
-        for (const file of files) {
-            await this.addSlugToFile(path.join(source, file));
-        }
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
     }
+    return table;
+})();
 
-    async addSlugToFile(filePath) {
-  try {
-    let content = await fs.readFile(filePath, "utf8");
-    if (content.includes("\nslug:")) return;
-    
-    const numericId = await this.generateUniqueNumericId();
-    
-    // 确保ID没有引号
-    const cleanId = String(numericId).replace(/"/g, '');
-    
-    // 添加引号写入文件
-    const slugValue = `"${cleanId}"`;
-    
-    // 处理Frontmatter逻辑...
-    if (content.startsWith("---")) {
-      const end = content.indexOf("\n---", 3);
-      // 写入带引号的字符串
-      content = content.slice(0, end) + `\nslug: ${slugValue}` + content.slice(end);
-    } else {
-      content = `---\nslug: ${slugValue}\n---\n${content}`;
-    }
-    
-    await fs.writeFile(filePath, content);
-  } catch (error) {
-    console.error(`添加slug出错: ${filePath}`, error);
-  }
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
-    async generateUniqueNumericId() {
-        const globalIdPath = path.join(this.dataPath, ".global-ids.json");
-        let usedIds = [];
-        try {
-            usedIds = JSON.parse(await fs.readFile(globalIdPath, "utf8"));
-            usedIds = usedIds.map(id => String(id).replace(/"/g, ''));
-        } catch {}
+// entries: [{ name, data, mtime }]
+function createZip(entries) {
+    const files = [];
+    const central = [];
+    let offset = 0;
 
-        let newId;
-        if (this.settings.slugGenerationMethod === 'sequential') {
-            let nextId = this.settings.sequentialSlugStart;
-            while (usedIds.includes(String(nextId))) {
-                nextId++;
-            }
-            newId = nextId;
-            this.settings.sequentialSlugStart = newId + 1;
-            await this.saveSettings();
-        } else {
-            const generateId = () => Math.floor(100000 + Math.random() * 900000);
-            do {
-                newId = generateId();
-            } while (usedIds.includes(String(newId)));
-        }
+    for (const { name, data, mtime } of entries) {
+        const nameBuffer = Buffer.from(name, "utf8");
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+        const time = (mtime.getHours() << 11) | (mtime.getMinutes() << 5) | Math.floor(mtime.getSeconds() / 2);
+        const date = ((Math.max(mtime.getFullYear(), 1980) - 1980) << 9) | ((mtime.getMonth() + 1) << 5) | mtime.getDate();
 
-        usedIds.push(String(newId));
-        await fs.writeFile(globalIdPath, JSON.stringify(usedIds));
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // 文件名使用UTF-8
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        files.push(local, nameBuffer, compressed);
 
-        return String(newId);
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(compressed.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(nameBuffer.length, 28);
+        header.writeUInt32LE(offset, 42);
+        central.push(header, nameBuffer);
+
+        offset += local.length + nameBuffer.length + compressed.length;
     }
 
-    async syncDirectories(sourceDir, targetDir, deleteExtra) {
-        const changedFiles = [];
-        const sourceFiles = await this.getAllFilesRelative(sourceDir);
-        const targetFiles = await this.getAllFilesRelative(targetDir);
-        const sourceFileSet = new Set(sourceFiles);
-        const targetFileSet = new Set(targetFiles);
-    
-        // 1. 复制源文件夹中新增或更新的文件
-        for (const file of sourceFiles) {
-            const sourcePath = path.join(sourceDir, file);
-            const targetPath = path.join(targetDir, file);
-            
-            let needsCopy = false;
-            try {
-                const sourceStats = await fs.stat(sourcePath);
-                if (!targetFileSet.has(file)) {
-                    needsCopy = true;
-                } else {
-                    const targetStats = await fs.stat(targetPath);
-                    if (sourceStats.mtimeMs > targetStats.mtimeMs) {
-                        needsCopy = true;
-                    }
-                }
-    
-                if (needsCopy) {
-                    await fs.mkdir(path.dirname(targetPath), { recursive: true });
-                    await fs.copyFile(sourcePath, targetPath);
-                    changedFiles.push(file);
-                }
-            } catch (error) {
-                console.error(`无法复制文件 ${file}:`, error);
-            }
-        }
-    
-        // 2. 如果启用严格匹配，则删除目标文件夹中多余的文件
-        if (deleteExtra) {
-            for (const file of targetFiles) {
-                if (!sourceFileSet.has(file)) {
-                    try {
-                        const targetPath = path.join(targetDir, file);
-                        await fs.unlink(targetPath);
-                        changedFiles.push(file); // 记录删除也是一个变更
-                    } catch (error) {
-                        console.error(`无法删除文件 ${file}:`, error);
-                    }
-                }
+    const centralSize = central.reduce((size, buffer) => size + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...files, ...central, end]);
+}
+
+// ustar格式，超过100字节的路径拆到 prefix 字段
+function createTar(entries) {
+    const blocks = [];
+    for (const { name, data, mtime } of entries) {
+        let fileName = name;
+        let prefix = "";
+        if (Buffer.byteLength(name) > 100) {
+            const split = [...name.matchAll(/\//g)].map(match => match.index)
+                .find(index => Buffer.byteLength(name.slice(index + 1)) <= 100 && Buffer.byteLength(name.slice(0, index)) <= 155);
+            if (split === undefined) {
+                throw new DeliveryError("无法写入tar归档", `路径过长：${name}`);
             }
+            prefix = name.slice(0, split);
+            fileName = name.slice(split + 1);
         }
-    
-        // 3. 删除清理后留下的空文件夹
-        await this.deleteEmptyDirs(targetDir);
-        return changedFiles;
+
+        const header = Buffer.alloc(512);
+        const octal = (value, length) => value.toString(8).padStart(length - 1, "0") + "\0";
+        header.write(fileName, 0, 100, "utf8");
+        header.write(octal(0o644, 8), 100);
+        header.write(octal(0, 8), 108);
+        header.write(octal(0, 8), 116);
+        header.write(octal(data.length, 12), 124);
+        header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+        header.write("        ", 148);
+        header.write("0", 156);
+        header.write("ustar\0", 257);
+        header.write("00", 263);
+        header.write(prefix, 345, 155, "utf8");
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        header.write(octal(checksum, 7) + " ", 148);
+
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
     }
-    
-    async getAllFilesRelative(dirPath, rootDir = dirPath) {
-        let results = [];
-        try {
-            const list = await fs.readdir(dirPath, { withFileTypes: true });
-            for (const dirent of list) {
-                const fullPath = path.join(dirPath, dirent.name);
-                if (dirent.isDirectory()) {
-                    results = results.concat(await this.getAllFilesRelative(fullPath, rootDir));
-                } else {
-                    results.push(path.relative(rootDir, fullPath));
-                }
-            }
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error(`无法读取文件夹 ${dirPath}:`, error);
-            }
-        }
-        return results;
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+const ARCHIVE_EXTENSIONS = { zip: ".zip", tar: ".tar", "tar.gz": ".tar.gz" };
+
+// 归档同步清单中记录的所有已发布文件，每次生成完整的新归档
+async function deliverArchive({ blog, options, root, manifest }) {
+    requireOptions(options, ["outputPath"], "归档");
+    const format = ARCHIVE_EXTENSIONS[options.format] ? options.format : "zip";
+    const now = new Date();
+    let outputPath = options.outputPath
+        .replace(/\{blog\}/g, blog.name.replace(/[\\/:*?"<>|]/g, "_"))
+        .replace(/\{date\}/g, formatDate("YYYY-MM-DD", now))
+        .replace(/\{time\}/g, formatDate("HH-mm-ss", now));
+    if (!outputPath.toLowerCase().endsWith(ARCHIVE_EXTENSIONS[format])) {
+        outputPath += ARCHIVE_EXTENSIONS[format];
     }
-    
-    async deleteEmptyDirs(directory) {
+
+    const entries = [];
+    for (const key of Object.keys(manifest.files).sort()) {
         try {
-            const stats = await fs.stat(directory);
-            if (!stats.isDirectory()) return;
-    
-            let files = await fs.readdir(directory);
-            for (const file of files) {
-                const p = path.join(directory, file);
-                await this.deleteEmptyDirs(p);
-            }
-    
-            files = await fs.readdir(directory);
-            if (files.length === 0) {
-                await fs.rmdir(directory);
-            }
+            const filePath = path.join(root, key);
+            entries.push({ name: key, data: await fs.readFile(filePath), mtime: (await fs.stat(filePath)).mtime });
         } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error(`无法处理文件夹 ${directory}:`, error);
-            }
+            if (error.code !== 'ENOENT') throw error;
         }
     }
 
-    async autoPushToBlog(targetFolder, branch = "main", message = "自动提交") {
-        return new Promise((resolve, reject) => {
-            const commands = [
-                `cd "${targetFolder}"`,
-                "git add .",
-                `git commit -m "${message}"`,
-                `git push origin ${branch}`,
-            ].join(" && ");
+    const archive = format === "zip" ? createZip(entries)
+        : format === "tar" ? createTar(entries)
+        : zlib.gzipSync(createTar(entries));
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, archive);
+    return { archivePath: outputPath };
+}
 
-            exec(commands, (error, stdout, stderr) => {
-                if (error) {
-                    console.error("Git推送错误:", stderr);
-                    reject(new Error(stderr || "Git推送失败"));
-                } else {
-                    console.log("Git推送成功:", stdout);
-                    resolve();
-                }
-            });
-        });
-    }
+// 每种投递方式的设置项 [键, 名称, 说明, 默认值, 类型]，类型为 text、password、toggle 或选项对象。
+// deliver(context) 的 context 为 { plugin, blog, options, root, uploads, deletions, changedFiles, manifest, message }，
+// 路径均相对于博客文件夹；Git自己记录未推送的提交，其他方式失败的变更记在同步清单中下次重试
+const DELIVERY_TARGETS = {
+    none: {
+        name: "只同步到本地文件夹",
+        fields: [],
+    },
+    git: {
+        name: "Git推送",
+        fields: [],
+        deliver: ({ plugin, blog, message, changedFiles }) => plugin.autoPushToBlog(blog, message, changedFiles),
+    },
+    webdav: {
+        name: "WebDAV",
+        fields: [
+            ["url", "WebDAV地址", "包含远程文件夹，例如 https://dav.example.com/blog", "", "text"],
+            ["username", "用户名", "", "", "text"],
+            ["password", "密码", "", "", "password"],
+        ],
+        deliver: deliverWebDav,
+    },
+    sftp: {
+        name: "SFTP",
+        fields: [
+            ["host", "主机", "", "", "text"],
+            ["port", "端口", "", "22", "text"],
+            ["username", "用户名", "", "", "text"],
+            ["password", "密码", "使用私钥时可留空", "", "password"],
+            ["privateKeyPath", "私钥文件", "私钥的绝对路径，例如 C:\\Users\\me\\.ssh\\id_ed25519", "", "text"],
+            ["remotePath", "远程文件夹", "例如 /var/www/blog", "", "text"],
+        ],
+        deliver: deliverSftp,
+    },
+    s3: {
+        name: "S3兼容存储",
+        fields: [
+            ["endpoint", "服务地址", "例如 https://s3.us-east-1.amazonaws.com 或 http://localhost:9000", "", "text"],
+            ["region", "区域", "", "us-east-1", "text"],
+            ["bucket", "存储桶", "", "", "text"],
+            ["prefix", "路径前缀", "对象键的前缀，可留空", "", "text"],
+            ["accessKeyId", "Access Key ID", "", "", "text"],
+            ["secretAccessKey", "Secret Access Key", "", "", "password"],
+            ["pathStyle", "路径风格地址", "使用 服务地址/存储桶/对象 的形式，MinIO等自建服务通常需要开启", true, "toggle"],
+        ],
+        deliver: deliverS3,
+    },
+    archive: {
+        name: "归档文件",
+        fields: [
+            ["outputPath", "归档路径", "可用占位符：{blog}、{date}、{time}，例如 D:\\Backup\\{blog}-{date}", "", "text"],
+            ["format", "格式", "", "zip", { zip: "zip", tar: "tar", "tar.gz": "tar.gz" }],
+        ],
+        deliver: deliverArchive,
+    },
 };
 
-class MultiBlogSettingTab extends PluginSettingTab {
-    constructor(app, plugin) {
-        super(app, plugin);
-        this.plugin = plugin;
+// 投递方式的设置，缺少的项使用默认值
+function deliveryOptions(blog, type) {
+    const target = DELIVERY_TARGETS[type];
+    const saved = (blog.delivery && blog.delivery[type]) || {};
+    const options = {};
+    for (const [key, , , defaultValue] of target ? target.fields : []) {
+        options[key] = saved[key] === undefined ? defaultValue : saved[key];
     }
+    return options;
+}
 
-    display() {
-        const { containerEl } = this;
-        containerEl.empty();
+// --- 钩子 ---
 
-        containerEl.createEl("h2", { text: "多博客发布设置" });
+// 每个博客可配置的钩子命令，在博客文件夹中通过shell执行
+const HOOK_STAGES = {
+    preSync: {
+        name: "同步前",
+        desc: "每次推送时在复制文件之前执行，执行后重新比较博客文件夹中的文件，失败时跳过该博客。例如 git pull",
+        failure: "，已跳过同步",
+    },
+    preCommit: {
+        name: "提交前",
+        desc: "文件同步后、提交或上传之前执行，失败时不提交也不发布。例如 hugo --gc 或 npm run build",
+        failure: "，未提交和发布",
+    },
+    postPush: {
+        name: "推送后",
+        desc: "推送或上传成功后执行。例如通知部署服务",
+        failure: "",
+    },
+};
 
-        new Setting(containerEl)
-            .setName("自动添加slug")
-            .setDesc("全局开关：自动为文章生成唯一纯数字短链接")
-            .addToggle((toggle) => {
-                toggle.setValue(this.plugin.settings.autoSlug).onChange(async (value) => {
-                    this.plugin.settings.autoSlug = value;
-                    await this.plugin.saveSettings();
-                    this.display(); // Refresh settings to show/hide slug options
-                });
-            });
+// 写入推送历史的钩子输出只保留末尾部分
+const MAX_HOOK_OUTPUT = 8000;
 
-        if (this.plugin.settings.autoSlug) {
-            new Setting(containerEl)
-                .setName("Slug 生成方式")
-                .setDesc("选择为文章生成slug的方式")
-                .addDropdown(dropdown => {
-                    dropdown
-                        .addOption('random', '随机')
-                        .addOption('sequential', '顺序')
-                        .setValue(this.plugin.settings.slugGenerationMethod)
-                        .onChange(async (value) => {
-                            this.plugin.settings.slugGenerationMethod = value;
-                            await this.plugin.saveSettings();
-                            this.display();
-                        });
-                });
+// 变更文件列表不超过该长度时同时放进环境变量 NOTE_DELIVERY_CHANGED_FILES
+const MAX_HOOK_CHANGED_FILES_ENV = 4096;
 
-            if (this.plugin.settings.slugGenerationMethod === 'sequential') {
+class HookError extends Error {
+    constructor(stage, detail = "") {
+        super(`${HOOK_STAGES[stage].name}钩子失败${HOOK_STAGES[stage].failure}`);
+        this.name = "HookError";
+        this.stage = stage;
+        this.detail = detail;
+    }
+}
+
+// 通过shell执行钩子命令，合并标准输出和标准错误。返回 { code, timedOut, output, duration }，不会抛出错误，
+// 无法启动命令（例如环境变量过长）时同样作为失败的结果返回
+function runHook(command, { cwd, env, timeout }) {
+    const startedAt = Date.now();
+    return new Promise(resolve => {
+        const finish = (error, stdout = "", stderr = "") => {
+            let output = [stdout, stderr].filter(Boolean).join("\n").trim() || (error ? error.message : "");
+            if (output.length > MAX_HOOK_OUTPUT) output = `…${output.slice(-MAX_HOOK_OUTPUT)}`;
+            resolve({
+                code: error ? (typeof error.code === "number" ? error.code : -1) : 0,
+                timedOut: Boolean(error && error.killed),
+                output,
+                duration: Date.now() - startedAt,
+            });
+        };
+        try {
+            exec(command, {
+                cwd,
+                env: { ...process.env, ...env },
+                timeout,
+                maxBuffer: 16 * 1024 * 1024,
+                windowsHide: true,
+            }, finish);
+        } catch (error) {
+            finish(error);
+        }
+    });
+}
+
+// --- 博客配置的导入导出 ---
+
+const CONFIG_EXPORT_FORMATS = { yaml: "YAML", json: "JSON" };
+
+// 发布方式设置中的密码类字段，导出时去掉，导入时保留本机的值
+function deliverySecretKeys(type) {
+    const target = DELIVERY_TARGETS[type];
+    return target ? target.fields.filter(field => field[4] === "password").map(field => field[0]) : [];
+}
+
+// 导出所有博客及其用到的自定义输出配置，不包含密码和密钥
+function exportBlogConfig(settings, format) {
+    const blogs = settings.blogs.map(blog => {
+        const copy = structuredClone(blog);
+        for (const [type, options] of Object.entries(copy.delivery || {})) {
+            deliverySecretKeys(type).forEach(key => delete options[key]);
+        }
+        return copy;
+    });
+    const usedProfiles = new Set(blogs.flatMap(blog => [blog.outputProfile, ...blog.pathMappings.map(mapping => mapping.outputProfile)]));
+    const data = {
+        settingsVersion: SETTINGS_VERSION,
+        blogs,
+        outputProfiles: (settings.outputProfiles || []).filter(profile => usedProfiles.has(profile.id)),
+    };
+    return format === "json" ? JSON.stringify(data, null, 2) : YAML.stringify(data, YAML_STRINGIFY_OPTIONS);
+}
+
+// 解析导入的JSON或YAML（JSON也是合法的YAML）并检查结构，返回 { blogs, outputProfiles, settingsVersion }。
+// 也接受只有博客列表的配置。格式错误时抛出错误，列出所有问题
+function parseBlogConfig(text) {
+    let data;
+    try {
+        data = YAML.parse(text);
+    } catch (error) {
+        throw new Error(`无法解析配置：${error.message.split("\n")[0]}`);
+    }
+    if (Array.isArray(data)) data = { blogs: data };
+    if (!data || typeof data !== "object" || !Array.isArray(data.blogs)) {
+        throw new Error("配置中没有 blogs 列表");
+    }
+
+    const problems = [];
+    const isObject = value => value && typeof value === "object" && !Array.isArray(value);
+    data.blogs.forEach((blog, index) => {
+        const label = `第 ${index + 1} 个博客`;
+        if (!isObject(blog)) {
+            problems.push(`${label}格式错误`);
+            return;
+        }
+        if (typeof blog.name !== "string" || !blog.name.trim()) problems.push(`${label}缺少 name`);
+        if (blog.blogRepoPath !== undefined && typeof blog.blogRepoPath !== "string") problems.push(`${label}的 blogRepoPath 不是字符串`);
+        if (blog.deliveryType !== undefined && !DELIVERY_TARGETS[blog.deliveryType]) problems.push(`${label}的发布方式 ${blog.deliveryType} 无效`);
+        if (blog.pathMappings !== undefined && !Array.isArray(blog.pathMappings)) {
+            problems.push(`${label}的 pathMappings 不是列表`);
+            return;
+        }
+        (blog.pathMappings || []).forEach((mapping, mappingIndex) => {
+            if (!isObject(mapping) || typeof mapping.source !== "string"
+                || (mapping.target !== undefined && typeof mapping.target !== "string")) {
+                problems.push(`${label}的第 ${mappingIndex + 1} 条路径映射缺少 source 或 target`);
+            }
+        });
+    });
+
+    const outputProfiles = data.outputProfiles === undefined ? [] : data.outputProfiles;
+    if (!Array.isArray(outputProfiles) || outputProfiles.some(profile => !isObject(profile) || typeof profile.id !== "string")) {
+        problems.push("outputProfiles 格式错误");
+    }
+
+    const settingsVersion = Number(data.settingsVersion) || 0;
+    if (settingsVersion > SETTINGS_VERSION) {
+        problems.push(`配置来自更新版本的插件（设置版本 ${settingsVersion}），请先更新插件`);
+    }
+
+    if (problems.length > 0) throw new Error(problems.join("；"));
+    return { blogs: data.blogs, outputProfiles, settingsVersion };
+}
+
+// --- 进度与并发 ---
+
+// 同时进行的文件读写数
+const FILE_CONCURRENCY = 8;
+
+// 以最多 limit 个并发执行 task，结果按 items 的顺序返回。
+// shouldStop 返回 true 后不再开始新的任务，未开始的任务结果为 undefined
+async function mapWithConcurrency(items, limit, task, shouldStop = () => false) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length && !shouldStop()) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+function formatSyncFailure({ file, action, message }) {
+    return `${file}（${action}失败：${message}）`;
+}
+
+class SyncCancelledError extends Error {
+    constructor() {
+        super("推送已取消");
+        this.name = "SyncCancelledError";
+    }
+}
+
+// 推送进度：在常驻通知中显示当前阶段和文件进度，并提供取消按钮。
+// 取消后正在进行的文件操作会完成，之后的文件、路径映射和博客都不再处理。
+// quiet 为 true 时（自动推送）不显示通知，只通过 onUpdate 更新状态栏
+class SyncProgress {
+    constructor({ quiet = false, onUpdate = null } = {}) {
+        this.quiet = quiet;
+        this.onUpdate = onUpdate;
+        this.cancelled = false;
+        this.label = "";
+        this.done = 0;
+        this.total = 0;
+        this.notice = null;
+        this.lastRender = 0;
+    }
+
+    // 开始新的阶段，例如比较或同步某个博客的文件
+    start(label, total) {
+        this.label = label;
+        this.done = 0;
+        this.total = total;
+        this.render(true);
+    }
+
+    tick() {
+        this.done++;
+        this.render(this.done === this.total);
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.render(true);
+    }
+
+    describe() {
+        if (this.cancelled) return "正在取消…";
+        return this.total > 0 ? `${this.label}：${this.done}/${this.total}` : this.label;
+    }
+
+    // 限制刷新频率，文件很多时不会频繁更新界面
+    render(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastRender < 200) return;
+        this.lastRender = now;
+        if (this.onUpdate) this.onUpdate();
+        if (this.quiet) return;
+
+        if (!this.notice) {
+            this.notice = new Notice("", 0);
+            this.notice.noticeEl.empty();
+            this.textEl = this.notice.noticeEl.createDiv();
+            const cancelButton = this.notice.noticeEl.createEl("button", { text: "取消" });
+            cancelButton.addEventListener("click", event => {
+                // 点击通知会关闭通知，取消按钮只负责取消
+                event.stopPropagation();
+                this.cancel();
+            });
+        }
+        this.textEl.setText(this.describe());
+    }
+
+    finish() {
+        if (this.notice) this.notice.hide();
+        this.notice = null;
+    }
+}
+
+// --- 发布状态面板 ---
+
+const PUBLISH_STATUS_VIEW_TYPE = "note-delivery-publish-status";
+
+const PUBLISH_STATUSES = {
+    published: "已发布",
+    modified: "有未发布的修改",
+    unpublished: "未发布",
+    filtered: "不符合发布规则",
+    orphaned: "源笔记已删除",
+};
+
+// --- 提交信息 ---
+
+const COMMIT_MESSAGE_PLACEHOLDERS = {
+    blog: "博客名称",
+    date: "日期 YYYY-MM-DD",
+    time: "时间 HH:mm",
+    added: "新增文件数",
+    updated: "更新文件数",
+    deleted: "删除文件数",
+    total: "变更文件总数",
+    files: "变更的文件名（最多5个）",
+    titles: "变更笔记的标题（最多5个）",
+    mappings: "涉及的路径映射",
+};
+
+function mappingLabel(mapping) {
+    return mapping.source || "根目录";
+}
+
+// 列表最多显示5项，超出时追加总数
+function summarizeList(items) {
+    const unique = Array.from(new Set(items));
+    const shown = unique.slice(0, 5).join(", ");
+    return `${shown}${unique.length > 5 ? ` 等${unique.length}个文件` : ""}`;
+}
+
+// 用变更摘要填充提交信息模板。
+// changeSummary: { blog, added, updated, deleted, renamed: [{ from, to }], titles, mappings }
+function formatCommitMessage(template, changeSummary, { includeBody = false, date = new Date() } = {}) {
+    const { added, updated, deleted, renamed } = changeSummary;
+    const changedPaths = [...added, ...updated, ...deleted, ...renamed.flatMap(r => [r.from, r.to])];
+    if (changedPaths.length === 0) return "自动提交";
+
+    const pad = n => String(n).padStart(2, "0");
+    const values = {
+        blog: changeSummary.blog,
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+        added: added.length,
+        updated: updated.length,
+        deleted: deleted.length,
+        total: added.length + updated.length + deleted.length + renamed.length,
+        // 仅提取文件名，并去重
+        files: summarizeList(changedPaths.map(p => (p || "").split(/[\\/]/).pop())),
+        titles: summarizeList(changeSummary.titles),
+        mappings: Array.from(new Set(changeSummary.mappings)).join(", "),
+    };
+
+    const subject = template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? String(values[key]) : placeholder));
+    if (!includeBody) return subject;
+
+    // 正文格式与 git status 类似：A 新增、M 更新、D 删除、R 重命名
+    const lines = [
+        ...added.map(file => `A ${file}`),
+        ...updated.map(file => `M ${file}`),
+        ...deleted.map(file => `D ${file}`),
+        ...renamed.map(({ from, to }) => `R ${from} -> ${to}`),
+    ];
+    return `${subject}\n\n${lines.join("\n")}`;
+}
+
+// --- Front matter 处理 ---
+// 所有对笔记元数据的读取和修改都通过这里，保留原有的键顺序、注释和换行符
+
+const YAML_STRINGIFY_OPTIONS = { lineWidth: 0, flowCollectionPadding: false };
+
+// 拆分front matter与正文。没有front matter时 yaml 为 null；
+// 以 --- 开头却没有结束标记时抛出错误，避免把正文当成元数据改写。
+// 两条 --- 之间明显不是键值对（例如正文以分隔线开头的一段文字）时当作正文；
+// YAML有语法错误时仍作为front matter，由读取和修改时报错
+function splitFrontMatter(content) {
+    const open = /^(\uFEFF?)---[ \t]*(\r?\n)/.exec(content);
+    const rest = open ? content.slice(open[0].length) : "";
+    const close = open && /^(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/m.exec(rest);
+    if (open && !close) {
+        throw new Error("front matter 缺少结束标记 ---");
+    }
+    if (!open || isPlainTextBlock(rest.slice(0, close.index))) {
+        const eolMatch = /\r?\n/.exec(content);
+        return { yaml: null, body: content, eol: eolMatch ? eolMatch[0] : "\n", bom: content.startsWith("\uFEFF") ? "\uFEFF" : "" };
+    }
+
+    return {
+        yaml: rest.slice(0, close.index),
+        body: rest.slice(close.index + close[0].length),
+        eol: open[2],
+        bom: open[1],
+        openLine: open[0].slice(open[1].length),
+        closeLine: close[0],
+    };
+}
+
+// 能正确解析、但结果是文字或列表而不是键值对
+function isPlainTextBlock(yamlText) {
+    const doc = YAML.parseDocument(yamlText);
+    return doc.errors.length === 0 && doc.contents !== null && !YAML.isMap(doc.contents);
+}
+
+function parseFrontMatterDocument(yamlText) {
+    const doc = YAML.parseDocument(yamlText);
+    if (doc.errors.length > 0) {
+        throw new Error(`front matter 解析失败: ${doc.errors[0].message.split("\n")[0]}`);
+    }
+    if (doc.contents !== null && !YAML.isMap(doc.contents)) {
+        throw new Error("front matter 不是键值对格式");
+    }
+    return doc;
+}
+
+// 读取front matter为普通对象，没有front matter时返回空对象
+function readFrontMatter(content) {
+    const { yaml } = splitFrontMatter(content);
+    if (yaml === null) return {};
+    return parseFrontMatterDocument(yaml).toJS() || {};
+}
+
+// 通过 updater(doc) 修改front matter，doc 为 yaml 的 Document。
+// 内容没有变化时原样返回
+function updateFrontMatter(content, updater) {
+    const parts = splitFrontMatter(content);
+    const doc = parseFrontMatterDocument(parts.yaml || "");
+    const before = doc.toString(YAML_STRINGIFY_OPTIONS);
+
+    updater(doc);
+
+    const after = doc.toString(YAML_STRINGIFY_OPTIONS);
+    if (after === before) return content;
+
+    const yamlText = (doc.contents === null ? "" : after).replace(/\r?\n/g, parts.eol);
+    if (parts.yaml === null) {
+        return `${parts.bom}---${parts.eol}${yamlText}---${parts.eol}${parts.body.slice(parts.bom.length)}`;
+    }
+    return `${parts.bom}${parts.openLine}${yamlText}${parts.closeLine}${parts.body}`;
+}
+
+// 设置字段值；quoted 为 true 时强制使用双引号
+function setFrontMatterField(doc, key, value, quoted = false) {
+    const node = doc.createNode(value);
+    if (quoted && YAML.isScalar(node)) {
+        node.type = "QUOTE_DOUBLE";
+    }
+    doc.set(key, node);
+}
+
+// --- 标题slug ---
+
+let pinyinModule = null;
+
+// 将标题转换为URL安全的slug，中文转为不带声调的拼音。
+// 先用 Intl.Segmenter 分词，多音字按词组读音转换（例如“重庆”为 chong qing）；
+// 拼音库的词组字典中没有的词仍按单字的常用读音转换
+function slugifyTitle(title, { separator = "-", maxLength = 60, lowercase = true } = {}) {
+    // 拼音字典较大，按需加载
+    if (!pinyinModule) pinyinModule = require("pinyin");
+    const { pinyin } = pinyinModule;
+
+    const transliterated = pinyin(String(title), { style: pinyin.STYLE_NORMAL, segment: "Intl.Segmenter" })
+        .map(chunk => chunk[0])
+        .join(" ")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "");
+
+    let words = transliterated.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    if (lowercase) words = words.map(word => word.toLowerCase());
+
+    let slug = "";
+    for (const word of words) {
+        const next = slug ? `${slug}${separator}${word}` : word;
+        if (maxLength > 0 && next.length > maxLength) {
+            if (!slug) slug = word.slice(0, maxLength);
+            break;
+        }
+        slug = next;
+    }
+    return slug;
+}
+
+// --- 输出配置：按静态网站生成器的约定调整发布后的笔记 ---
+
+// fieldMap            front matter 字段改名 { 源字段: 输出字段 }
+// removeFields        发布时删除的字段
+// dateFields          缺少时用文件时间补全的字段 { 输出字段: "created" | "modified" }
+// dateFormat          补全日期的格式，支持 YYYY MM DD HH mm ss Z
+// tagsFormat          tags 输出为列表 'list'，或逗号 'comma'、空格 'space' 分隔的字符串
+// draftField          draft 字段输出为该字段，draftInvert 为 true 时取反（例如 published: false）
+// fileName            输出文件名，相对于笔记所在文件夹，支持 {name} {slug} {date} {year} {month} {day}，留空保持原名
+// stripObsidianSyntax 删除 %%注释%% 和块ID，去掉 ==高亮== 标记
+const BUILTIN_OUTPUT_PROFILES = {
+    hugo: {
+        name: "Hugo",
+        fieldMap: {},
+        removeFields: ["aliases", "cssclasses"],
+        dateFields: { date: "created", lastmod: "modified" },
+        dateFormat: "YYYY-MM-DDTHH:mm:ssZ",
+        tagsFormat: "list",
+        draftField: "draft",
+        draftInvert: false,
+        fileName: "{slug}/index.md", // 页面包
+        stripObsidianSyntax: true,
+    },
+    hexo: {
+        name: "Hexo",
+        fieldMap: {},
+        removeFields: ["aliases", "cssclasses"],
+        dateFields: { date: "created", updated: "modified" },
+        dateFormat: "YYYY-MM-DD HH:mm:ss",
+        tagsFormat: "list",
+        draftField: "published",
+        draftInvert: true,
+        fileName: "",
+        stripObsidianSyntax: true,
+    },
+    astro: {
+        name: "Astro",
+        fieldMap: { date: "pubDate", lastmod: "updatedDate" },
+        removeFields: ["aliases", "cssclasses"],
+        dateFields: { pubDate: "created" },
+        dateFormat: "YYYY-MM-DDTHH:mm:ssZ",
+        tagsFormat: "list",
+        draftField: "draft",
+        draftInvert: false,
+        fileName: "{slug}.md",
+        stripObsidianSyntax: true,
+    },
+    jekyll: {
+        name: "Jekyll",
+        fieldMap: {},
+        removeFields: ["aliases", "cssclasses"],
+        dateFields: { date: "created" },
+        dateFormat: "YYYY-MM-DD HH:mm:ss Z",
+        tagsFormat: "space",
+        draftField: "published",
+        draftInvert: true,
+        fileName: "{date}-{slug}.md",
+        stripObsidianSyntax: true,
+    },
+};
+
+function formatDate(template, date) {
+    const pad = n => String(n).padStart(2, "0");
+    const offset = -date.getTimezoneOffset();
+    const zone = `${offset >= 0 ? "+" : "-"}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    const values = {
+        YYYY: String(date.getFullYear()),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+        Z: zone,
+    };
+    return template.replace(/YYYY|MM|DD|HH|mm|ss|Z/g, token => values[token]);
+}
+
+// 文件创建时间，不支持创建时间的文件系统上使用修改时间
+function fileCreatedTime(stat) {
+    return stat.birthtimeMs > 0 ? stat.birthtime : stat.mtime;
+}
+
+// 按文件名模板计算输出路径，笔记所在的子文件夹保持不变
+function outputFileName(template, file, { slug, date, created }) {
+    const name = path.basename(file, path.extname(file));
+    // front matter 中 YYYY-MM-DD 开头的日期优先，否则使用文件创建时间
+    const day = typeof date === "string" && /^\d{4}-\d{2}-\d{2}/.test(date)
+        ? date.slice(0, 10)
+        : formatDate("YYYY-MM-DD", created);
+    const values = {
+        name,
+        slug: slug ? String(slug) : name,
+        date: day,
+        year: day.slice(0, 4),
+        month: day.slice(5, 7),
+        day: day.slice(8, 10),
+    };
+    const output = template.replace(/\{(\w+)\}/g, (match, key) =>
+        key in values ? values[key].replace(/[\\/:*?"<>|]/g, "-") : match
+    );
+    return path.join(path.dirname(file), output);
+}
+
+// 删除只有Obsidian能识别的语法
+function stripObsidianSyntax(content) {
+    return rewriteBody(content, text => text
+        .replace(/%%[\s\S]*?%%/g, "")
+        .replace(/[ \t]+\^[A-Za-z0-9-]+(?=\r?\n|$)/g, "")
+        .replace(/==([^=\n]+)==/g, "$1")
+    );
+}
+
+// 按输出配置改写发布后的笔记；times 为源文件的 { created, modified }
+function applyOutputProfile(content, profile, times) {
+    let result = updateFrontMatter(content, doc => {
+        const pairs = YAML.isMap(doc.contents) ? doc.contents.items : [];
+
+        for (const field of profile.removeFields || []) {
+            if (doc.has(field)) doc.delete(field);
+        }
+
+        // 改名时保留字段原来的位置，输出字段已存在时不覆盖
+        for (const [from, to] of Object.entries(profile.fieldMap || {})) {
+            const pair = pairs.find(item => YAML.isScalar(item.key) && item.key.value === from);
+            if (pair && !doc.has(to)) {
+                pair.key = doc.createNode(to);
+            }
+        }
+
+        if (profile.draftField && doc.has("draft")) {
+            const draft = doc.get("draft") === true || doc.get("draft") === "true";
+            doc.delete("draft");
+            doc.set(profile.draftField, profile.draftInvert ? !draft : draft);
+        }
+
+        const tags = doc.get("tags");
+        if (tags !== undefined && profile.tagsFormat) {
+            // 与发布筛选不同，这里保留标签原来的大小写
+            const value = YAML.isNode(tags) ? tags.toJSON() : tags;
+            const list = (Array.isArray(value) ? value : String(value || "").split(/[,\s]+/))
+                .map(tag => String(tag).trim().replace(/^#/, ""))
+                .filter(Boolean);
+            if (profile.tagsFormat === "list") {
+                doc.set("tags", list);
+            } else {
+                doc.set("tags", list.join(profile.tagsFormat === "comma" ? ", " : " "));
+            }
+        }
+
+        for (const [field, source] of Object.entries(profile.dateFields || {})) {
+            if (doc.has(field) || !times[source]) continue;
+            doc.set(field, formatDate(profile.dateFormat || "YYYY-MM-DDTHH:mm:ssZ", times[source]));
+        }
+    });
+
+    if (profile.stripObsidianSyntax) {
+        result = stripObsidianSyntax(result);
+    }
+    return result;
+}
+
+// --- front matter 规则：发布时修改副本的front matter，库中的笔记保持不变 ---
+
+const FRONT_MATTER_RULE_ACTIONS = {
+    set: "设置",
+    rename: "改名",
+    delete: "删除",
+    compute: "计算",
+};
+
+const COMPUTED_FIELD_SOURCES = {
+    modified: "修改时间",
+    created: "创建时间",
+    fileName: "文件名",
+    firstParagraph: "第一段正文",
+    folder: "所在子文件夹",
+};
+
+// 正文中第一段文字，去掉Markdown标记，超出长度时截断。
+// 代码块、%%注释%% 和 ^块ID 不属于正文，先删除再查找段落
+function firstParagraph(body, maxLength = 160) {
+    const prose = body
+        .replace(/(^|\n)[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n[ \t]*\2[^\n]*(?=\n|$)|$)/g, "$1")
+        .replace(/%%[\s\S]*?%%/g, "")
+        .replace(/(^|[ \t]+)\^[A-Za-z0-9-]+[ \t]*(?=\r?\n|$)/gm, "");
+    for (const block of prose.split(/\r?\n[ \t]*\r?\n/)) {
+        const trimmed = block.trim();
+        if (!trimmed || /^(#|!\[|\||<|---)/.test(trimmed)) continue;
+
+        const text = trimmed
+            .replace(/^>\s?/gm, "")
+            .replace(/!?\[\[([^\]|]*\|)?([^\]]*)\]\]/g, "$2")
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+            .replace(/[*~`=]+/g, "")
+            // 单词内部的下划线（如 snake_case）不是强调标记
+            .replace(/_+/g, (marks, offset, line) =>
+                /[\p{L}\p{N}]/u.test(line.charAt(offset - 1)) && /[\p{L}\p{N}]/u.test(line.charAt(offset + marks.length)) ? marks : "")
+            .replace(/\s+/g, " ")
+            .trim();
+        if (!text) continue;
+
+        const chars = Array.from(text);
+        return chars.length > maxLength ? chars.slice(0, maxLength).join("") + "…" : text;
+    }
+    return "";
+}
+
+function computeFieldValue(rule, body, context) {
+    switch (rule.source) {
+        case "modified":
+        case "created":
+            return formatDate(rule.format || "YYYY-MM-DDTHH:mm:ssZ", context[rule.source]);
+        case "fileName":
+            return context.fileName;
+        case "firstParagraph":
+            return firstParagraph(body) || null;
+        case "folder": {
+            // 子文件夹的每一层作为一项，位于源文件夹根目录时不设置
+            const parts = context.folder.split(/[\\/]/).filter(Boolean);
+            return parts.length > 0 ? parts : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// 规则：{ action, field, value, to, source, format, overwrite }
+// set 将 field 设为 value（按YAML解析），rename 将 field 改名为 to，delete 删除 field，
+// compute 按 source 计算 field 的值；set 与 compute 在 overwrite 为 false 时只补全缺少的字段。
+// context 为 { created, modified, fileName, folder }
+function applyFrontMatterRules(content, rules, context) {
+    const { body } = splitFrontMatter(content);
+    return updateFrontMatter(content, doc => {
+        for (const rule of rules) {
+            const field = (rule.field || "").trim();
+            if (!field) continue;
+            const exists = doc.has(field);
+
+            if (rule.action === "delete") {
+                if (exists) doc.delete(field);
+            } else if (rule.action === "rename") {
+                const to = (rule.to || "").trim();
+                if (!exists || !to || to === field) continue;
+                const pair = doc.contents.items.find(item => YAML.isScalar(item.key) && item.key.value === field);
+                if (doc.has(to)) doc.delete(to);
+                pair.key = doc.createNode(to);
+            } else if (rule.action === "set" || rule.action === "compute") {
+                if (exists && !rule.overwrite) continue;
+                let value;
+                if (rule.action === "set") {
+                    try {
+                        value = YAML.parse(String(rule.value ?? ""));
+                    } catch {
+                        value = rule.value;
+                    }
+                } else {
+                    value = computeFieldValue(rule, body, context);
+                }
+                if (value !== null && value !== undefined) doc.set(field, value);
+            }
+        }
+    });
+}
+
+// 旧版本配置中缺少的博客选项，加载时补全
+const BLOG_OPTION_DEFAULTS = {
+    gitPullRebase: false,
+    gitRequireClean: false,
+    commitMessageTemplate: "更新文件：{files}",
+    commitMessageBody: false,
+    convertWikiLinks: false,
+    noteLinkFormat: "/{target}/{slug}",
+    attachmentLinkFormat: "/{target}/{path}",
+    unpublishedLinkAction: "text",
+    autoPublish: false,
+    autoPublishInterval: 0,
+    autoPublishOnChange: false,
+    autoPublishDelay: 60,
+    outputProfile: "",
+    gitPushBranch: "main",
+    delivery: {},
+    hooks: { preSync: "", preCommit: "", postPush: "" }, // 见 HOOK_STAGES
+    hookTimeout: 300, // 秒
+};
+
+// 自动推送连续失败达到该次数后暂停
+const MAX_AUTO_PUBLISH_FAILURES = 3;
+
+// 推送历史最多保留的记录数，更早的记录连同备份一起删除
+const MAX_HISTORY_RUNS = 50;
+
+const MAPPING_OPTION_DEFAULTS = {
+    includeAttachments: false,
+    attachmentsFolder: "assets",
+    publishFlag: "",
+    excludeDrafts: false,
+    includeTags: [],
+    excludeTags: [],
+    includePatterns: [],
+    excludePatterns: [],
+    outputProfile: "",
+    frontMatterRules: [],
+    slugIncludePatterns: [],
+    slugExcludePatterns: [],
+};
+
+// 返回新的映射默认选项，避免多个映射共用同一个数组
+function defaultMappingOptions() {
+    return structuredClone(MAPPING_OPTION_DEFAULTS);
+}
+
+// --- 设置版本与迁移 ---
+
+// 当前的设置版本，增加迁移步骤时同步加一
+const SETTINGS_VERSION = 2;
+
+// 按顺序执行的迁移步骤，version 为执行后的设置版本，migrate 直接修改传入的设置。
+// 没有 settingsVersion 的设置视为版本0。每一步都要能处理该版本以前的各种旧格式，
+// 重复执行不会改变结果；步骤发布后不要修改，新的改动追加新的步骤
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 1,
+        description: "全局 source_folder 和博客的 target_folder 改为路径映射",
+        migrate(settings) {
+            if (!settings.source_folder) return;
+            (settings.blogs || []).forEach(blog => {
+                // 如果博客配置中有 target_folder 且没有 pathMappings，则判定为需要迁移的旧配置
+                if (blog.target_folder && !blog.pathMappings) {
+                    // 将旧的 target_folder 作为新的 blogRepoPath
+                    blog.blogRepoPath = blog.target_folder;
+                    // 基于旧的全局 source_folder 和博客设置创建路径映射
+                    blog.pathMappings = [{
+                        source: settings.source_folder,
+                        target: "", // 目标路径现在相对于 blogRepoPath，所以这里留空
+                        enableFolderMatching: blog.enableFolderMatching || false,
+                    }];
+                    delete blog.target_folder;
+                    delete blog.enableFolderMatching;
+                }
+            });
+            delete settings.source_folder;
+        },
+    },
+    {
+        version: 2,
+        description: "自动Git推送 autoGit 改为发布方式 deliveryType",
+        migrate(settings) {
+            (settings.blogs || []).forEach(blog => {
+                if (blog.deliveryType === undefined) {
+                    blog.deliveryType = blog.autoGit ? "git" : "none";
+                }
+                delete blog.autoGit;
+            });
+        },
+    },
+];
+
+// 从 settings.settingsVersion 开始依次执行之后的迁移步骤，返回执行了的步骤。
+// 设置来自更新版本的插件时不做修改
+function migrateSettings(settings) {
+    const applied = [];
+    for (const step of SETTINGS_MIGRATIONS) {
+        if (step.version <= (settings.settingsVersion || 0)) continue;
+        step.migrate(settings);
+        settings.settingsVersion = step.version;
+        applied.push(step);
+    }
+    return applied;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// 用默认值补全缺少的字段，嵌套的对象逐层补全；数组和已有的值保持不变。返回是否有修改
+function fillDefaults(target, defaults) {
+    let changed = false;
+    for (const [key, value] of Object.entries(defaults)) {
+        if (target[key] === undefined) {
+            target[key] = structuredClone(value);
+            changed = true;
+        } else if (isPlainObject(value) && isPlainObject(target[key])) {
+            changed = fillDefaults(target[key], value) || changed;
+        }
+    }
+    return changed;
+}
+
+// 补全博客和其中每条路径映射缺少的字段，用于加载设置和导入配置。返回是否有修改
+function normalizeBlog(blog) {
+    let changed = false;
+    // 博客的唯一标识，用于关联同步清单等数据，不随名称变化
+    if (!blog.id) {
+        blog.id = createId();
+        changed = true;
+    }
+    changed = fillDefaults(blog, { deliveryType: "none", pathMappings: [], ...BLOG_OPTION_DEFAULTS }) || changed;
+    for (const mapping of blog.pathMappings) {
+        changed = fillDefaults(mapping, { target: "", enableFolderMatching: false, ...MAPPING_OPTION_DEFAULTS }) || changed;
+    }
+    return changed;
+}
+
+// --- 发布筛选 ---
+
+// 路径通配符：** 匹配任意层级，* 匹配除 / 以外的任意字符，? 匹配单个字符
+function globToRegExp(pattern) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "*" && pattern[i + 1] === "*") {
+            // "**/" 也匹配零层目录
+            if (pattern[i + 2] === "/") {
+                source += "(?:.*/)?";
+                i += 2;
+            } else {
+                source += ".*";
+                i += 1;
+            }
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`, "i");
+}
+
+function matchesAnyGlob(filePath, patterns) {
+    return patterns.some(pattern => globToRegExp(pattern.trim().replace(/^\/+/, "")).test(filePath));
+}
+
+// 将 tags 字段统一为不带 # 的小写数组，兼容列表和逗号/空格分隔的字符串
+function normalizeTags(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+    return list
+        .map(tag => String(tag).trim().replace(/^#/, "").toLowerCase())
+        .filter(Boolean);
+}
+
+// 标签按层级匹配：规则 blog 同时匹配 blog/tech
+function hasMatchingTag(tags, ruleTags) {
+    const rules = normalizeTags(ruleTags);
+    return tags.some(tag => rules.some(rule => tag === rule || tag.startsWith(`${rule}/`)));
+}
+
+function usesFrontMatterFilter(mapping) {
+    return Boolean(mapping.publishFlag)
+        || mapping.excludeDrafts
+        || (mapping.includeTags || []).length > 0
+        || (mapping.excludeTags || []).length > 0;
+}
+
+function passesFrontMatterFilter(frontMatter, mapping) {
+    const isTrue = value => value === true || String(value).toLowerCase() === "true";
+
+    if (mapping.publishFlag && !isTrue(frontMatter[mapping.publishFlag])) return false;
+    if (mapping.excludeDrafts && isTrue(frontMatter.draft)) return false;
+
+    const tags = normalizeTags(frontMatter.tags);
+    if ((mapping.includeTags || []).length > 0 && !hasMatchingTag(tags, mapping.includeTags)) return false;
+    if (hasMatchingTag(tags, mapping.excludeTags || [])) return false;
+
+    return true;
+}
+
+// --- 双链转换 ---
+
+// 按代码块和行内代码切分，只对普通文本调用 transform
+function transformOutsideCode(text, transform) {
+    const codePattern = /(^|\n)([ \t]*)(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n[ \t]*\3[^\n]*(?=\n|$)|$)|(`+)[^`]*?\4/g;
+    let result = "";
+    let lastIndex = 0;
+    let match;
+    while ((match = codePattern.exec(text)) !== null) {
+        const start = match.index + (match[1] ? match[1].length : 0);
+        result += transform(text.slice(lastIndex, start)) + text.slice(start, codePattern.lastIndex);
+        lastIndex = codePattern.lastIndex;
+    }
+    return result + transform(text.slice(lastIndex));
+}
+
+// 解析 [[path#subpath|alias]]，表格中的 \| 也视为别名分隔符
+function parseWikiLink(inner) {
+    const pipe = inner.search(/\\?\|/);
+    const linkPart = pipe === -1 ? inner : inner.slice(0, pipe);
+    const alias = pipe === -1 ? null : inner.slice(pipe).replace(/^\\?\|/, "").trim();
+    const hash = linkPart.indexOf("#");
+    return {
+        linkpath: (hash === -1 ? linkPart : linkPart.slice(0, hash)).trim(),
+        subpath: hash === -1 ? null : linkPart.slice(hash + 1).trim(),
+        alias: alias || null,
+    };
+}
+
+// 只改写正文中代码以外的部分，front matter 保持不变
+function rewriteBody(content, transform) {
+    const parts = splitFrontMatter(content);
+    const head = content.slice(0, content.length - parts.body.length);
+    return head + transformOutsideCode(parts.body, transform);
+}
+
+// 将正文中的 [[...]] 与 ![[...]] 交给 resolve 生成替换文本
+function rewriteWikiLinks(content, resolve) {
+    return rewriteBody(content, text =>
+        text.replace(/(!?)\[\[([^\[\]\n]+?)\]\]/g, (original, bang, inner) =>
+            resolve({ ...parseWikiLink(inner), embed: bang === "!", original })
+        )
+    );
+}
+
+// 将正文中指向本地文件的 [text](url) 与 ![alt](url) 交给 resolve，外部链接和锚点保持不变
+function rewriteMarkdownLinks(content, resolve) {
+    return rewriteBody(content, text =>
+        text.replace(/(!?)\[([^\]\n]*)\]\(\s*(<[^>\n]+>|[^)\s]+)(\s+"[^"\n]*")?\s*\)/g, (original, bang, linkText, url, title) => {
+            const rawUrl = url.replace(/^<|>$/g, "");
+            if (/^[a-z][a-z0-9+.-]*:/i.test(rawUrl) || rawUrl.startsWith("#")) return original;
+
+            let linkpath = rawUrl.split("#")[0];
+            try {
+                linkpath = decodeURI(linkpath);
+            } catch {}
+            return resolve({ linkpath, text: linkText, title: title || "", embed: bang === "!", original });
+        })
+    );
+}
+
+// 笔记中所有双链和本地Markdown链接的目标路径
+function extractLinkpaths(content) {
+    const linkpaths = new Set();
+    const collect = link => {
+        if (link.linkpath) linkpaths.add(link.linkpath);
+        return link.original;
+    };
+    rewriteWikiLinks(content, collect);
+    rewriteMarkdownLinks(content, collect);
+    return [...linkpaths];
+}
+
+// 标题锚点：小写、空格转连字符并去掉标点
+function headingAnchor(heading) {
+    if (heading.startsWith("^")) return "";
+    return heading
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+        .replace(/\s+/g, "-");
+}
+
+function escapeLinkText(text) {
+    return text.replace(/([\[\]])/g, "\\$1");
+}
+
+// 用 {key} 占位符填充链接格式，并合并多余的斜杠
+function formatLink(template, values) {
+    return template
+        .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder))
+        .replace(/([^:/])\/{2,}/g, "$1/")
+        .replace(/^\/{2,}/, "/");
+}
+
+module.exports = class MultiBlogPublisher extends Plugin {
+    async onload() {
+        // 迁移设置时需要在插件数据目录中备份
+        this.dataPath = path.join(
+            this.app.vault.adapter.basePath, 
+            ".obsidian", 
+            "plugins", 
+            this.manifest.id
+        );
+        
+        await fs.mkdir(this.dataPath, { recursive: true });
+
+        await this.loadSettings();
+
+        this.addRibbonIcon("clipboard-paste", "笔记推送", async () => {
+            await this.copyMarkdownFiles();
+        });
+
+        this.addCommand({
+            id: "preview-sync",
+            name: "预览同步",
+            callback: async () => {
+                await this.previewSync();
+            },
+        });
+
+        this.addCommand({
+            id: "validate-slugs",
+            name: "检查slug",
+            callback: async () => {
+                new SlugReportModal(this.app, this, await this.validateSlugs()).open();
+            },
+        });
+
+        this.addCommand({
+            id: "show-history",
+            name: "查看推送历史",
+            callback: async () => {
+                new PublishHistoryModal(this.app, this, await this.loadHistory()).open();
+            },
+        });
+
+        this.registerView(PUBLISH_STATUS_VIEW_TYPE, leaf => new PublishStatusView(leaf, this));
+        this.addCommand({
+            id: "show-publish-status",
+            name: "打开发布状态面板",
+            callback: async () => {
+                await this.activatePublishStatusView();
+            },
+        });
+
+        this.registerCommands();
+
+        this.statusBarEl = this.addStatusBarItem();
+        this.statusBarEl.addEventListener("click", () => this.resumeAutoPublish());
+        this.setupAutoPublish();
+        this.registerAutoPublishEvents();
+        this.registerEvent(this.app.vault.on("rename", (file, oldPath) => this.onNoteRenamed(file, oldPath)));
+
+        this.settingTab = new MultiBlogSettingTab(this.app, this);
+        this.addSettingTab(this.settingTab);
+
+        this.configProblems = new Map();
+        this.validateConfig().catch(error => console.error("检查博客配置出错:", error));
+
+        await this.cleanTrash();
+    }
+
+    async loadSettings() {
+        const data = await this.loadData();
+        let needsSave = false;
+        this.settingsFromNewerVersion = false;
+
+        if (data) {
+            this.settings = data;
+            const fromVersion = data.settingsVersion || 0;
+            if (fromVersion < SETTINGS_VERSION) {
+                // 迁移前备份原来的 data.json，迁移出错时可以手动恢复
+                const backupPath = await this.backupSettings(data, fromVersion);
+                const applied = migrateSettings(this.settings);
+                console.log(`设置已从版本 ${fromVersion} 升级到 ${SETTINGS_VERSION}，原设置备份在 ${backupPath}`,
+                    applied.map(step => step.description));
+                needsSave = true;
+            } else if (fromVersion > SETTINGS_VERSION) {
+                // 不迁移也不保存，换回新版本插件时设置保持原样
+                this.settingsFromNewerVersion = true;
+                console.warn(`设置来自更新版本的插件（设置版本 ${fromVersion}），部分设置可能不起作用`);
+            }
+        } else {
+            this.settings = { settingsVersion: SETTINGS_VERSION, ...structuredClone(DEFAULT_SETTINGS) };
+        }
+
+        // 补全缺少的默认值：顶层设置、每个博客和其中每条路径映射
+        if (fillDefaults(this.settings, { ...DEFAULT_SETTINGS, blogs: [] })) needsSave = true;
+        this.settings.blogs.forEach(blog => {
+            if (normalizeBlog(blog)) needsSave = true;
+        });
+
+        if (needsSave && !this.settingsFromNewerVersion) {
+            await this.saveSettings();
+        }
+    }
+
+    // 把迁移前的设置写入插件数据目录的 backups 文件夹，返回备份文件路径
+    async backupSettings(data, version) {
+        const stamp = formatDate("YYYY-MM-DD_HH-mm-ss", new Date());
+        const backupPath = path.join(this.dataPath, "backups", `data-v${version}-${stamp}.json`);
+        await fs.mkdir(path.dirname(backupPath), { recursive: true });
+        await fs.writeFile(backupPath, JSON.stringify(data, null, 2));
+        return backupPath;
+    }
+
+    async saveSettings() {
+        // 设置来自更新版本的插件时不写入 data.json，修改只在本次运行中生效
+        if (this.settingsFromNewerVersion) {
+            if (!this.newerSettingsNoticeShown) {
+                this.newerSettingsNoticeShown = true;
+                new Notice("设置来自更新版本的插件，为避免覆盖，本次修改不会保存。请更新插件后再修改设置", 15000);
+            }
+        } else {
+            await this.saveData(this.settings);
+        }
+        // 插件加载完成前（迁移配置时）还没有注册命令和定时器
+        if (this.blogCommandIds) {
+            this.refreshBlogCommands();
+        }
+        if (this.autoPublishTimers) {
+            this.setupAutoPublish();
+        }
+        if (this.configProblems) {
+            this.scheduleConfigValidation();
+        }
+    }
+
+    // 修改设置后稍等再检查，避免输入时频繁检查
+    scheduleConfigValidation() {
+        window.clearTimeout(this.configValidationTimer);
+        this.configValidationTimer = window.setTimeout(() => {
+            this.validateConfig().catch(error => console.error("检查博客配置出错:", error));
+        }, 1000);
+    }
+
+    async validateConfig() {
+        const problems = new Map();
+        for (const blog of this.settings.blogs || []) {
+            problems.set(blog.id, await this.validateBlog(blog));
+        }
+        this.configProblems = problems;
+        if (this.settingTab) this.settingTab.renderConfigProblems();
+    }
+
+    // 检查博客配置，返回 [{ level: "error" | "warning", message }]。有错误的博客不会同步
+    async validateBlog(blog) {
+        const problems = [];
+        const error = message => problems.push({ level: "error", message });
+        const warning = message => problems.push({ level: "warning", message });
+        const isDirectory = async dir => {
+            const stat = await fs.stat(dir).catch(() => null);
+            return Boolean(stat && stat.isDirectory());
+        };
+
+        const repo = blog.blogRepoPath;
+        const repoValid = Boolean(repo) && path.isAbsolute(repo) && await isDirectory(repo);
+        if (!repo) {
+            error("未设置博客仓库路径");
+        } else if (!path.isAbsolute(repo)) {
+            error(`博客仓库路径 "${repo}" 不是绝对路径`);
+        } else if (!repoValid) {
+            error(`博客仓库路径 "${repo}" 不存在`);
+        } else if (blog.deliveryType === "git") {
+            const branch = blog.gitPushBranch || "main";
+            try {
+                await runGit(repo, ["rev-parse", "--is-inside-work-tree"]);
+                // 还没有提交的新仓库中，当前分支也算存在
+                const hasBranch = await runGit(repo, ["rev-parse", "--verify", "--quiet", `refs/heads/${branch}`]).then(() => true, () => false)
+                    || await runGit(repo, ["symbolic-ref", "--short", "HEAD"]).then(({ stdout }) => stdout.trim() === branch, () => false);
+                if (!hasBranch) error(`Git仓库中没有分支 "${branch}"`);
+            } catch (gitError) {
+                error(`${gitError.message}：${repo}`);
+            }
+        }
+
+        if (!blog.pathMappings || blog.pathMappings.length === 0) {
+            warning("没有路径映射");
+        }
+
+        const targets = [];
+        for (const mapping of blog.pathMappings || []) {
+            const label = `路径映射 ${mappingLabel(mapping)} → ${mapping.target || "根目录"}`;
+            const { sourceAbs, targetAbs } = this.resolveMappingPaths(blog, mapping);
+            if (!await isDirectory(sourceAbs)) {
+                error(`${label}：源文件夹不存在`);
+            }
+            if (repoValid) {
+                const relative = path.relative(repo, targetAbs);
+                if (relative.startsWith("..") || path.isAbsolute(relative)) {
+                    // 只同步到本地时允许，其他发布方式只处理博客文件夹中的文件
+                    if (blog.deliveryType === "none") warning(`${label}：目标文件夹不在博客仓库中`);
+                    else error(`${label}：目标文件夹不在博客仓库中，不会被发布`);
+                }
+            }
+            targets.push({ label, targetAbs, strict: mapping.enableFolderMatching });
+        }
+
+        const contains = (parent, child) => {
+            const relative = path.relative(parent, child);
+            return !relative.startsWith("..") && !path.isAbsolute(relative);
+        };
+        for (let i = 0; i < targets.length; i++) {
+            for (let j = i + 1; j < targets.length; j++) {
+                const [a, b] = [targets[i], targets[j]];
+                if (!contains(a.targetAbs, b.targetAbs) && !contains(b.targetAbs, a.targetAbs)) continue;
+                if (a.strict || b.strict) error(`${a.label} 与 ${b.label} 的目标文件夹重叠，严格同步会删除另一条映射的文件`);
+                else warning(`${a.label} 与 ${b.label} 的目标文件夹重叠，同名文件会互相覆盖`);
+            }
+        }
+        return problems;
+    }
+
+    // 导入博客配置。mode 为 replace 时替换所有博客，同一博客（id相同）保留本机的密码；
+    // append 时追加到现有博客之后。自定义输出配置按id合并。返回导入的博客数
+    async importBlogConfig(text, mode) {
+        const { blogs, outputProfiles, settingsVersion } = parseBlogConfig(text);
+        // 旧版本导出的配置先按设置迁移步骤升级
+        migrateSettings({ settingsVersion, blogs });
+        const existing = new Map(this.settings.blogs.map(blog => [blog.id, blog]));
+
+        for (const blog of blogs) {
+            if (mode === "append" && existing.has(blog.id)) delete blog.id;
+            const local = existing.get(blog.id);
+            if (local) {
+                for (const [type, options] of Object.entries(local.delivery || {})) {
+                    blog.delivery = blog.delivery || {};
+                    blog.delivery[type] = blog.delivery[type] || {};
+                    for (const key of deliverySecretKeys(type)) {
+                        if (!blog.delivery[type][key] && options[key]) blog.delivery[type][key] = options[key];
+                    }
+                }
+            }
+            normalizeBlog(blog);
+        }
+
+        for (const profile of outputProfiles) {
+            const index = this.settings.outputProfiles.findIndex(({ id }) => id === profile.id);
+            if (index >= 0) this.settings.outputProfiles[index] = profile;
+            else this.settings.outputProfiles.push(profile);
+        }
+
+        this.settings.blogs = mode === "replace" ? blogs : [...this.settings.blogs, ...blogs];
+        await this.saveSettings();
+        return blogs.length;
+    }
+
+    // scope 限定同步范围：{ blogIds, files, unpublish }，见 buildSyncPlan。
+    // 返回每个博客的执行结果，已有推送在进行时返回null
+    async copyMarkdownFiles(scope = {}, options = {}) {
+        return this.runExclusive(async () => {
+            const progress = this.createProgress(options.quiet);
+            try {
+                const plan = await this.buildSyncPlan(scope, progress);
+                if (!plan) return [];
+                if (progress.cancelled) {
+                    new Notice("推送已取消");
+                    return [];
+                }
+                if (plan.blogs.length === 0) {
+                    new Notice(scope.files ? "当前笔记不在任何路径映射中" : "没有可推送的博客");
+                    return [];
+                }
+                return await this.executeSyncPlan(plan, { ...options, progress });
+            } finally {
+                progress.finish();
+                this.activeProgress = null;
+            }
+        });
+    }
+
+    // 当前推送的进度，同时显示在状态栏中
+    createProgress(quiet = false) {
+        this.activeProgress = new SyncProgress({ quiet, onUpdate: () => this.updateStatusBar() });
+        return this.activeProgress;
+    }
+
+    // 同一时间只允许一次推送
+    async runExclusive(task) {
+        if (this.syncInProgress) {
+            new Notice("已有推送正在进行，请稍候");
+            return null;
+        }
+
+        this.syncInProgress = true;
+        this.updateStatusBar();
+        try {
+            return await task();
+        } finally {
+            this.syncInProgress = false;
+            this.updateStatusBar();
+            this.refreshPublishStatusViews();
+            this.runPendingAutoPublish();
+        }
+    }
+
+    // --- 自动推送 ---
+
+    getAutoPublishState(blogId) {
+        if (!this.autoPublishStates) this.autoPublishStates = new Map();
+        if (!this.autoPublishStates.has(blogId)) {
+            this.autoPublishStates.set(blogId, { failures: 0, paused: false, pending: false, lastRun: 0 });
+        }
+        return this.autoPublishStates.get(blogId);
+    }
+
+    // 按博客设置更新定时器，设置变化后调用。
+    // 只重建开关或间隔有变化的博客，修改其他设置时不会推迟定时推送
+    setupAutoPublish() {
+        if (!this.autoPublishTimers) {
+            this.autoPublishTimers = new Map(); // 博客id → { interval, timer }
+            this.register(() => {
+                for (const { timer } of this.autoPublishTimers.values()) window.clearInterval(timer);
+            });
+        }
+
+        const intervals = new Map();
+        for (const blog of this.settings.blogs || []) {
+            const interval = Number(blog.autoPublishInterval);
+            if (blog.autoPublish && interval > 0) intervals.set(blog.id, interval);
+        }
+
+        for (const [blogId, { interval, timer }] of this.autoPublishTimers) {
+            if (intervals.get(blogId) !== interval) {
+                window.clearInterval(timer);
+                this.autoPublishTimers.delete(blogId);
+            }
+        }
+        for (const [blogId, interval] of intervals) {
+            if (this.autoPublishTimers.has(blogId)) continue;
+            const timer = window.setInterval(() => {
+                this.runAutoPublish(blogId);
+            }, interval * 60 * 1000);
+            this.autoPublishTimers.set(blogId, { interval, timer });
+        }
+        this.updateStatusBar();
+    }
+
+    registerAutoPublishEvents() {
+        this.changeTimers = new Map();
+        this.register(() => {
+            for (const timer of this.changeTimers.values()) window.clearTimeout(timer);
+        });
+
+        // 推送过程中的修改同样安排推送，到时仍在推送时由 runAutoPublish 等当前推送结束后执行
+        const onChange = async (file, oldPath, isModify = false) => {
+            const blogs = (this.settings.blogs || []).filter(blog => blog.autoPublish && blog.autoPublishOnChange
+                && (this.isInBlogSources(blog, file.path) || (oldPath && this.isInBlogSources(blog, oldPath))));
+            if (blogs.length === 0) return;
+            // 插件写入slug也会触发修改事件，忽略
+            if (isModify && await this.isOwnWrite(file.path)) return;
+            blogs.forEach(blog => this.scheduleAutoPublish(blog));
+        };
+        // 加载库时 Obsidian 会为每个已有文件触发 create 事件，等布局就绪后再监听
+        this.app.workspace.onLayoutReady(() => {
+            this.registerEvent(this.app.vault.on("modify", file => onChange(file, null, true)));
+            this.registerEvent(this.app.vault.on("create", file => onChange(file)));
+            this.registerEvent(this.app.vault.on("delete", file => onChange(file)));
+            this.registerEvent(this.app.vault.on("rename", (file, oldPath) => onChange(file, oldPath)));
+        });
+    }
+
+    // 记录插件写入笔记的内容，用于区分插件自己的修改和用户的修改
+    recordOwnWrite(absPath, content) {
+        if (!this.ownWrites) this.ownWrites = new Map();
+        this.ownWrites.set(this.toVaultPath(absPath), hashContent(content));
+    }
+
+    // 笔记内容仍是插件最后一次写入的内容时视为插件自己的修改
+    async isOwnWrite(vaultPath) {
+        const hash = this.ownWrites && this.ownWrites.get(vaultPath);
+        if (!hash) return false;
+        try {
+            const content = await fs.readFile(path.join(this.app.vault.adapter.basePath, vaultPath));
+            if (hashContent(content) === hash) return true;
+        } catch {}
+        this.ownWrites.delete(vaultPath);
+        return false;
+    }
+
+    isInBlogSources(blog, vaultPath) {
+        const absPath = path.join(this.app.vault.adapter.basePath, vaultPath);
+        return (blog.pathMappings || []).some(mapping => {
+            if (!mapping.source) return false;
+            const relative = path.relative(this.resolveMappingPaths(blog, mapping).sourceAbs, absPath);
+            return relative && !relative.startsWith("..") && !path.isAbsolute(relative);
+        });
+    }
+
+    // 连续修改只在最后一次修改的 autoPublishDelay 秒后推送一次
+    scheduleAutoPublish(blog) {
+        window.clearTimeout(this.changeTimers.get(blog.id));
+        const delay = Math.max(1, Number(blog.autoPublishDelay) || BLOG_OPTION_DEFAULTS.autoPublishDelay);
+        this.changeTimers.set(blog.id, window.setTimeout(() => {
+            this.changeTimers.delete(blog.id);
+            this.runAutoPublish(blog.id);
+        }, delay * 1000));
+    }
+
+    async runAutoPublish(blogId) {
+        const blog = (this.settings.blogs || []).find(b => b.id === blogId);
+        if (!blog || !blog.autoPublish) return;
+
+        const state = this.getAutoPublishState(blogId);
+        if (state.paused) return;
+        if (this.syncInProgress) {
+            // 当前推送结束后再执行
+            state.pending = true;
+            return;
+        }
+
+        const results = await this.copyMarkdownFiles({ blogIds: [blogId] }, { quiet: true });
+        if (!results) return;
+
+        state.lastRun = Date.now();
+        if (results.some(result => result.error)) {
+            state.failures++;
+            if (state.failures >= MAX_AUTO_PUBLISH_FAILURES) {
+                state.paused = true;
+                new Notice(`博客 "${blog.name}" 自动推送连续失败 ${state.failures} 次，已暂停。点击状态栏可恢复`, 15000);
+            }
+        } else {
+            state.failures = 0;
+        }
+        this.updateStatusBar();
+    }
+
+    runPendingAutoPublish() {
+        for (const [blogId, state] of this.autoPublishStates || []) {
+            if (state.pending) {
+                state.pending = false;
+                this.runAutoPublish(blogId);
+            }
+        }
+    }
+
+    resumeAutoPublish() {
+        let resumed = false;
+        for (const state of (this.autoPublishStates || new Map()).values()) {
+            if (state.paused) {
+                state.paused = false;
+                state.failures = 0;
+                resumed = true;
+            }
+        }
+        if (resumed) {
+            new Notice("已恢复自动推送");
+            this.updateStatusBar();
+        }
+    }
+
+    updateStatusBar() {
+        if (!this.statusBarEl) return;
+
+        const autoBlogs = (this.settings.blogs || []).filter(blog => blog.autoPublish);
+        const paused = autoBlogs.filter(blog => this.getAutoPublishState(blog.id).paused);
+        const lastRun = Math.max(0, ...autoBlogs.map(blog => this.getAutoPublishState(blog.id).lastRun));
+
+        let text = "";
+        if (this.syncInProgress) {
+            text = this.activeProgress && this.activeProgress.label
+                ? `笔记推送：${this.activeProgress.describe()}`
+                : "笔记推送：推送中…";
+        } else if (paused.length > 0) {
+            text = `笔记推送：已暂停 ${paused.map(blog => blog.name).join(", ")}`;
+        } else if (autoBlogs.length > 0) {
+            text = lastRun
+                ? `笔记推送：自动 · 上次 ${new Date(lastRun).toLocaleTimeString()}`
+                : "笔记推送：自动";
+        }
+        this.statusBarEl.setText(text);
+    }
+
+    // 每个博客一条“推送博客”命令，博客增删或改名后重新注册
+    refreshBlogCommands() {
+        const key = JSON.stringify((this.settings.blogs || []).map(blog => [blog.id, blog.name]));
+        if (this.blogCommandIds && key === this.blogCommandsKey) return;
+        this.blogCommandsKey = key;
+
+        for (const id of this.blogCommandIds || []) {
+            // removeCommand 需要较新的Obsidian，旧版本使用内部接口
+            if (typeof this.removeCommand === "function") {
+                this.removeCommand(id);
+            } else {
+                this.app.commands.removeCommand(`${this.manifest.id}:${id}`);
+            }
+        }
+        this.blogCommandIds = [];
+
+        for (const blog of this.settings.blogs || []) {
+            const id = `publish-blog-${blog.id}`;
+            this.addCommand({
+                id,
+                name: `推送博客：${blog.name}`,
+                callback: async () => {
+                    await this.copyMarkdownFiles({ blogIds: [blog.id] });
+                },
+            });
+            this.blogCommandIds.push(id);
+        }
+    }
+
+    registerCommands() {
+        this.addCommand({
+            id: "publish-all",
+            name: "推送全部博客",
+            callback: async () => {
+                await this.copyMarkdownFiles();
+            },
+        });
+
+        this.addCommand({
+            id: "publish-current-note",
+            name: "推送当前笔记",
+            checkCallback: (checking) => {
+                const file = this.app.workspace.getActiveFile();
+                if (!file || file.extension !== "md") return false;
+                if (!checking) {
+                    this.copyMarkdownFiles({ files: [file.path] });
+                }
+                return true;
+            },
+        });
+
+        this.addCommand({
+            id: "unpublish-current-note",
+            name: "撤回当前笔记",
+            checkCallback: (checking) => {
+                const file = this.app.workspace.getActiveFile();
+                if (!file || file.extension !== "md") return false;
+                if (!checking) {
+                    this.copyMarkdownFiles({ files: [file.path], unpublish: true });
+                }
+                return true;
+            },
+        });
+
+        this.refreshBlogCommands();
+    }
+
+    // 预览同步：先计算同步计划并展示，确认后再按同一计划执行。
+    // 同步前钩子在展示前执行，预览的就是钩子执行后实际会执行的计划
+    async previewSync() {
+        const plan = await this.runExclusive(async () => {
+            const progress = this.createProgress();
+            try {
+                const built = await this.buildSyncPlan({}, progress);
+                if (!built || progress.cancelled) return null;
+                built.runId = createId();
+                for (const index of built.blogs.keys()) {
+                    if (progress.cancelled) return null;
+                    if (built.blogs[index].error) continue;
+                    const hookLog = [];
+                    try {
+                        await this.runPreSyncHook(built, index, built.runId, hookLog, progress);
+                    } catch (error) {
+                        built.blogs[index].error = error.message + (error.detail ? `（${error.detail}）` : "");
+                    }
+                    built.blogs[index].preSyncHooks = hookLog;
+                }
+                built.preSyncDone = true;
+                return built;
+            } finally {
+                progress.finish();
+                this.activeProgress = null;
+            }
+        });
+        if (!plan) return;
+        new SyncPlanModal(this.app, plan, async () => {
+            await this.runExclusive(async () => {
+                const progress = this.createProgress();
+                try {
+                    await this.executeSyncPlan(plan, { progress });
+                } finally {
+                    progress.finish();
+                    this.activeProgress = null;
+                }
+            });
+        }).open();
+    }
+
+    // --- 发布状态 ---
+
+    async activatePublishStatusView() {
+        let leaf = this.app.workspace.getLeavesOfType(PUBLISH_STATUS_VIEW_TYPE)[0];
+        if (!leaf) {
+            leaf = this.app.workspace.getRightLeaf(false);
+            await leaf.setViewState({ type: PUBLISH_STATUS_VIEW_TYPE, active: true });
+        }
+        this.app.workspace.revealLeaf(leaf);
+    }
+
+    refreshPublishStatusViews() {
+        for (const leaf of this.app.workspace.getLeavesOfType(PUBLISH_STATUS_VIEW_TYPE)) {
+            if (leaf.view instanceof PublishStatusView) leaf.view.refresh();
+        }
+    }
+
+    // 每个博客中笔记的发布状态，使用与同步相同的源文件/目标文件比较，不修改任何文件。
+    // 返回 [{ blog, error, notes: [{ status, notePath, target, slug, owned }] }]，
+    // notePath 为笔记在库中的路径，target 为相对于博客文件夹的发布位置（不符合发布规则的笔记为null），
+    // owned 表示目标文件记录在同步清单中，即由插件发布
+    async getPublishStatus() {
+        if (!this.settings.blogs || this.settings.blogs.length === 0) return [];
+        const plan = await this.buildSyncPlan({ inspect: true });
+        const readSlug = async filePath => {
+            try {
+                const slug = readFrontMatter(await fs.readFile(filePath, "utf8")).slug;
+                return slug ? String(slug) : null;
+            } catch {
+                return null;
+            }
+        };
+        const isNote = file => path.extname(file).toLowerCase() === ".md";
+
+        const results = [];
+        for (const blogPlan of plan.blogs) {
+            const notes = [];
+            for (const mappingPlan of blogPlan.mappings) {
+                const { mapping, sourceAbs, targetAbs } = mappingPlan;
+                const outputs = [
+                    ...Object.keys(mappingPlan.hashes).map(file => ["published", file]),
+                    ...mappingPlan.update.map(file => ["modified", file]),
+                    ...mappingPlan.add.map(file => ["unpublished", file]),
+                    ...mappingPlan.renames.map(({ to }) => ["unpublished", to]),
+                ];
+                for (const [status, file] of outputs) {
+                    const sourcePath = mappingPlan.copySources[file] || path.join(sourceAbs, file);
+                    // 收集的附件不在源文件夹中，不单独列出
+                    if (!isNote(file) || path.relative(sourceAbs, sourcePath).startsWith("..")) continue;
+                    const target = this.toManifestKey(mapping, file);
+                    notes.push({
+                        status,
+                        notePath: this.toVaultPath(sourcePath),
+                        target,
+                        slug: await readSlug(sourcePath),
+                        owned: Boolean(blogPlan.manifest.files[target]),
+                    });
+                }
+
+                for (const file of mappingPlan.filteredOut.filter(isNote)) {
+                    const sourcePath = path.join(sourceAbs, file);
+                    notes.push({ status: "filtered", notePath: this.toVaultPath(sourcePath), target: null, slug: await readSlug(sourcePath), owned: false });
+                }
+
+                // 插件发布过、但源笔记已删除或移出源文件夹的文件。
+                // 博客中其他没有对应笔记的文件（主题页面、手动添加的文章等）不属于插件，不列出
+                for (const file of mappingPlan.orphans.filter(isNote)) {
+                    const target = this.toManifestKey(mapping, file);
+                    const entry = blogPlan.manifest.files[target];
+                    if (!entry || !entry.source) continue;
+                    notes.push({
+                        status: "orphaned",
+                        notePath: entry.source,
+                        target,
+                        slug: await readSlug(path.join(targetAbs, file)),
+                        owned: true,
+                    });
+                }
+            }
+            results.push({ blog: blogPlan.blog, error: blogPlan.error, notes });
+        }
+        return results;
+    }
+
+    // --- 同步清单：记录每个已发布文件的内容哈希，存放在插件数据目录 ---
+
+    getSyncManifestPath(blog) {
+        return path.join(this.dataPath, "manifests", `${blog.id}.json`);
+    }
+
+    async loadSyncManifest(blog) {
+        try {
+            const manifest = JSON.parse(await fs.readFile(this.getSyncManifestPath(blog), "utf8"));
+            if (manifest && manifest.files) return manifest;
+        } catch {}
+        return { files: {}, updatedAt: 0 };
+    }
+
+    async saveSyncManifest(blog, manifest) {
+        manifest.updatedAt = Date.now();
+        await fs.mkdir(path.dirname(this.getSyncManifestPath(blog)), { recursive: true });
+        await fs.writeFile(this.getSyncManifestPath(blog), JSON.stringify(manifest, null, 2));
+    }
+
+    // 清单中的 unpublished 记录撤回过的笔记，同步时不再发布；再次指定推送时移除
+    recordWithdrawnNotes(manifest, mappingPlan) {
+        if (mappingPlan.withdrawn.length === 0 && mappingPlan.republished.length === 0) return;
+        const unpublished = new Set([...(manifest.unpublished || []), ...mappingPlan.withdrawn]);
+        mappingPlan.republished.forEach(notePath => unpublished.delete(notePath));
+        manifest.unpublished = [...unpublished].sort();
+    }
+
+    // --- 回收站：同步时删除的目标文件移到插件数据目录，按保留天数清理 ---
+
+    getTrashDir() {
+        return path.join(this.dataPath, "trash");
+    }
+
+    // 本次推送的回收站文件夹，按时间命名，每个博客一个子文件夹
+    createTrashDir(blog, date = new Date()) {
+        const pad = n => String(n).padStart(2, "0");
+        const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_`
+            + `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+        return path.join(this.getTrashDir(), stamp, blog.name.replace(/[\\/:*?"<>|]/g, "_"));
+    }
+
+    // 移动失败时抛出错误，文件保留在原处
+    async moveToTrash(trashDir, key, absPath) {
+        const trashPath = path.join(trashDir, key);
+        await fs.mkdir(path.dirname(trashPath), { recursive: true });
+        try {
+            await fs.rename(absPath, trashPath);
+        } catch (error) {
+            // 博客仓库和库不在同一个磁盘上时不能直接移动
+            if (error.code !== 'EXDEV') throw error;
+            await fs.copyFile(absPath, trashPath);
+            await fs.unlink(absPath);
+        }
+    }
+
+    async cleanTrash() {
+        const days = this.settings.trashRetentionDays;
+        if (!(days > 0)) return;
+        const expireBefore = Date.now() - days * 24 * 60 * 60 * 1000;
+        const entries = await fs.readdir(this.getTrashDir(), { withFileTypes: true }).catch(() => []);
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            const dir = path.join(this.getTrashDir(), entry.name);
+            try {
+                if ((await fs.stat(dir)).mtimeMs < expireBefore) {
+                    await fs.rm(dir, { recursive: true, force: true });
+                }
+            } catch (error) {
+                console.error(`无法清理回收站 ${dir}:`, error);
+            }
+        }
+    }
+
+    // --- 推送历史：每次推送的变更记录，以及被覆盖或删除的文件备份 ---
+
+    getHistoryDir() {
+        return path.join(this.dataPath, "history");
+    }
+
+    async loadHistory() {
+        try {
+            const runs = JSON.parse(await fs.readFile(path.join(this.getHistoryDir(), "runs.json"), "utf8"));
+            if (Array.isArray(runs)) return runs;
+        } catch {}
+        return [];
+    }
+
+    async saveHistory(runs) {
+        await fs.mkdir(this.getHistoryDir(), { recursive: true });
+        await fs.writeFile(path.join(this.getHistoryDir(), "runs.json"), JSON.stringify(runs, null, 2));
+    }
+
+    // 新记录放在最前面，超出数量的旧记录连同备份一起删除
+    async recordRun(run) {
+        const runs = await this.loadHistory();
+        runs.unshift(run);
+        for (const old of runs.splice(MAX_HISTORY_RUNS)) {
+            await fs.rm(path.join(this.getHistoryDir(), old.id), { recursive: true, force: true });
+        }
+        await this.saveHistory(runs);
+    }
+
+    // 覆盖或删除目标文件前先备份，撤销时恢复
+    async backupTargetFile(backupDir, key, absPath) {
+        if (!backupDir) return;
+        const backupPath = path.join(backupDir, key);
+        try {
+            await fs.mkdir(path.dirname(backupPath), { recursive: true });
+            await fs.copyFile(absPath, backupPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    // 撤销一次推送：Git仓库中已有提交时执行 git revert，
+    // 否则删除新增的文件并从备份恢复被覆盖或删除的文件
+    async revertRun(runId) {
+        return this.runExclusive(async () => {
+            const runs = await this.loadHistory();
+            const run = runs.find(r => r.id === runId);
+            if (!run || run.revertedAt) return false;
+
+            let failed = false;
+            for (const entry of run.blogs) {
+                const blog = (this.settings.blogs || []).find(b => b.id === entry.blogId);
+                if (!blog) {
+                    new Notice(`博客 "${entry.blogName}" 已被删除，无法撤销`);
+                    failed = true;
+                    continue;
+                }
+                try {
+                    await this.revertBlogRun(blog, run, entry);
+                    new Notice(`已撤销博客 "${blog.name}" 的推送`);
+                } catch (error) {
+                    console.error(`撤销博客 ${blog.name} 的推送出错:`, error);
+                    const detail = error.detail ? `（${error.detail}）` : "";
+                    new Notice(`撤销博客 "${blog.name}" 的推送失败：${error.message}${detail}`, 15000);
+                    failed = true;
+                }
+            }
+
+            if (!failed) {
+                run.revertedAt = Date.now();
+                await this.saveHistory(runs);
+            }
+            return !failed;
+        });
+    }
+
+    async revertBlogRun(blog, run, entry) {
+        const cwd = blog.blogRepoPath;
+        const branch = blog.gitPushBranch || "main";
+
+        if (entry.commitHash) {
+            try {
+                await runGit(cwd, ["revert", "--no-edit", entry.commitHash]);
+            } catch (error) {
+                await runGit(cwd, ["revert", "--abort"]).catch(() => {});
+                throw error;
+            }
+            if (entry.pushed) {
+                await runGit(cwd, ["push", "origin", branch]);
+            }
+            return;
+        }
+
+        const backupDir = path.join(this.getHistoryDir(), run.id, entry.blogId);
+        const restore = async key => {
+            const target = path.join(cwd, key);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.copyFile(path.join(backupDir, key), target);
+        };
+        const remove = key => fs.rm(path.join(cwd, key), { force: true });
+
+        for (const key of entry.added) await remove(key);
+        for (const { from, to } of entry.renamed) {
+            await remove(to);
+            await restore(from);
+        }
+        for (const key of [...entry.updated, ...entry.deleted]) await restore(key);
+
+        const files = [...entry.added, ...entry.updated, ...entry.deleted, ...entry.renamed.flatMap(({ from, to }) => [from, to])];
+        await this.deliverBlog(blog, await this.loadSyncManifest(blog), files, `撤销推送：${new Date(run.startedAt).toLocaleString()}`);
+    }
+
+    // 清单中的键：相对于博客仓库根目录的目标路径
+    toManifestKey(mapping, file) {
+        return path.join(mapping.target || "", file).replace(/\\/g, '/');
+    }
+
+    resolveMappingPaths(blog, mapping) {
+        const sourceAbs = path.isAbsolute(mapping.source)
+            ? mapping.source
+            : path.join(this.app.vault.adapter.basePath, mapping.source);
+
+        const targetAbs = path.isAbsolute(mapping.target || "")
+            ? mapping.target
+            : path.join(blog.blogRepoPath, mapping.target || "");
+
+        return { sourceAbs, targetAbs };
+    }
+
+    // 计算同步计划：不修改任何文件，只记录将要新增、更新、删除的文件、
+    // 需要添加的slug以及将被删除的空文件夹。
+    // scope.blogIds 只处理指定博客；scope.files（仓库内路径）只处理这些笔记，
+    // 不做严格同步删除；scope.unpublish 为 true 时从博客中删除这些笔记。
+    // slugState 用于重新计算单个博客的计划，默认按已使用的slug新建
+    async buildSyncPlan(scope = {}, progress = new SyncProgress({ quiet: true }), slugState = null) {
+        if (!this.settings.blogs || this.settings.blogs.length === 0) {
+            new Notice("请先配置至少一个博客");
+            return null;
+        }
+
+        const plan = { createdAt: Date.now(), scope, blogs: [] };
+        slugState = slugState || {
+            usedIds: new Set(await this.loadUsedIds()),
+            nextSequential: this.settings.sequentialSlugStart,
+        };
+
+        for (const blog of this.settings.blogs) {
+            if (progress.cancelled) break;
+            if (scope.blogIds && !scope.blogIds.includes(blog.id)) continue;
+
+            const blogPlan = { blog, mappings: [], manifest: null, error: null };
+
+            if (!blog.blogRepoPath || !blog.pathMappings || blog.pathMappings.length === 0) {
+                if (!scope.files) {
+                    blogPlan.error = "配置不完整，已跳过";
+                    plan.blogs.push(blogPlan);
+                }
+                continue;
+            }
+
+            // 只处理包含指定笔记的路径映射
+            const mappings = [];
+            for (const mapping of blog.pathMappings) {
+                if (!scope.files) {
+                    mappings.push({ mapping, mappingScope: null });
+                    continue;
+                }
+                const { sourceAbs } = this.resolveMappingPaths(blog, mapping);
+                const files = scope.files
+                    .map(vaultPath => path.relative(sourceAbs, path.join(this.app.vault.adapter.basePath, vaultPath)))
+                    .filter(file => file && !file.startsWith("..") && !path.isAbsolute(file));
+                if (files.length > 0) {
+                    mappings.push({ mapping, mappingScope: { files: new Set(files), unpublish: Boolean(scope.unpublish) } });
+                }
+            }
+            if (mappings.length === 0) continue;
+            plan.blogs.push(blogPlan);
+
+            const problems = await this.validateBlog(blog);
+            this.configProblems.set(blog.id, problems);
+            if (this.settingTab) this.settingTab.renderConfigProblems();
+            const errors = problems.filter(problem => problem.level === "error");
+            if (errors.length > 0) {
+                blogPlan.error = `配置有误：${errors.map(problem => problem.message).join("；")}`;
+                continue;
+            }
+
+            try {
+                blogPlan.manifest = await this.loadSyncManifest(blog);
+                // 计算该博客之前的slug状态，重新计算计划时从这里开始分配
+                blogPlan.slugState = { usedIds: new Set(slugState.usedIds), nextSequential: slugState.nextSequential };
+                for (const { mapping, mappingScope } of mappings) {
+                    blogPlan.mappings.push(await this.buildMappingPlan(
+                        blog, mapping, slugState, blogPlan.manifest, mappingScope, { inspect: Boolean(scope.inspect), progress }
+                    ));
+                }
+            } catch (error) {
+                console.error(`计算博客 ${blog.name} 的同步计划出错:`, error);
+                blogPlan.error = error.message;
+                blogPlan.mappings = [];
+            }
+        }
+
+        return plan;
+    }
+
+    // 执行 plan.blogs[index] 的同步前钩子，钩子可以从 NOTE_DELIVERY_CHANGED_FILES_PATH 读到计划变更的文件。
+    // 之后按钩子修改过的博客文件夹重新计算该博客的计划，替换 plan 中原来的计划并返回。钩子失败时抛出 HookError
+    async runPreSyncHook(plan, index, runId, hookLog, progress) {
+        const blogPlan = plan.blogs[index];
+        const { blog } = blogPlan;
+        if (!blog.hooks || !(blog.hooks.preSync || "").trim()) return blogPlan;
+
+        const plannedFiles = blogPlan.mappings.flatMap(mappingPlan =>
+            [...mappingPlan.add, ...mappingPlan.update, ...mappingPlan.delete, ...mappingPlan.renames.flatMap(({ from, to }) => [from, to])]
+                .map(file => this.toManifestKey(mappingPlan.mapping, file))
+        );
+        await this.runBlogHook(blog, "preSync", { changedFiles: plannedFiles, runId }, hookLog);
+        plan.blogs[index] = await this.rebuildBlogPlan(plan, blogPlan, progress);
+        return plan.blogs[index];
+    }
+
+    // 同步前钩子可能修改了博客文件夹（例如 git pull），按钩子执行后的文件重新计算该博客的同步计划。
+    // 原计划中已分配的slug（slugState.planned）保持不变，新出现的笔记避开整个计划中已分配的slug
+    async rebuildBlogPlan(plan, blogPlan, progress) {
+        const plannedSlugs = new Map();
+        for (const mappingPlan of plan.blogs.flatMap(other => other.mappings)) {
+            for (const { file, slug } of mappingPlan.slugs) {
+                plannedSlugs.set(path.join(mappingPlan.sourceAbs, file), slug);
+            }
+        }
+        const slugState = {
+            usedIds: new Set([...blogPlan.slugState.usedIds, ...plannedSlugs.values()]),
+            nextSequential: blogPlan.slugState.nextSequential,
+            planned: plannedSlugs,
+        };
+        const rebuilt = await this.buildSyncPlan({ ...plan.scope, blogIds: [blogPlan.blog.id] }, progress, slugState);
+        if (progress.cancelled) throw new SyncCancelledError();
+        const rebuiltPlan = rebuilt && rebuilt.blogs[0];
+        if (!rebuiltPlan) throw new Error("同步前钩子执行后找不到该博客的同步计划");
+        if (rebuiltPlan.error) throw new Error(rebuiltPlan.error);
+        return rebuiltPlan;
+    }
+
+    // inspect 为 true 时只用于查看发布状态，不检查严格同步的删除上限；progress 显示比较文件的进度
+    async buildMappingPlan(blog, mapping, slugState, manifest, mappingScope = null, { inspect = false, progress = new SyncProgress({ quiet: true }) } = {}) {
+        const { sourceAbs, targetAbs } = this.resolveMappingPaths(blog, mapping);
+        const mappingPlan = {
+            mapping,
+            sourceAbs,
+            targetAbs,
+            add: [],
+            update: [],
+            delete: [],
+            renames: [], // 严格同步时内容相同的删除+新增 { from, to }
+            orphans: [], // 目标文件夹中没有对应源文件的文件，严格同步时即为 delete
+            slugs: [],
+            emptyDirs: [],
+            warnings: [],
+            attachments: [], // 源文件夹以外被引用的附件 { vaultPath, sourcePath, file }
+            copySources: {}, // 源文件不在 sourceAbs 下的目标文件 → 源文件绝对路径
+            filteredOut: [], // 不符合发布规则的源文件
+            withdrawn: [], // 本次撤回的笔记（库中路径），之后同步时不再发布
+            republished: [], // 本次指定推送、不再排除的已撤回笔记
+            hashes: {}, // 未变更文件的内容哈希 { sourceHash, targetHash, renderHash }，执行后补入同步清单
+            profile: this.getOutputProfile(blog, mapping),
+            frontMatterRules: mapping.frontMatterRules || [],
+            renderHash: null, // 输出配置和front matter规则的哈希，修改后所有笔记都需要重新生成
+        };
+        if (mappingPlan.profile || mappingPlan.frontMatterRules.length > 0) {
+            mappingPlan.renderHash = hashContent(JSON.stringify([mappingPlan.profile, mappingPlan.frontMatterRules]));
+        }
+
+        // 源文件夹路径写错时会被当成空文件夹，严格同步会清空目标文件夹
+        const sourceStat = await fs.stat(sourceAbs).catch(() => null);
+        if (!sourceStat || !sourceStat.isDirectory()) {
+            throw new Error(`源文件夹 "${mapping.source}" 不存在，已取消同步`);
+        }
+
+        // 撤回过的笔记不再发布，直到再次指定推送该笔记
+        const withheld = new Set(manifest.unpublished || []);
+        if (mappingScope) {
+            const notePaths = [...mappingScope.files]
+                .filter(file => path.extname(file).toLowerCase() === ".md")
+                .map(file => this.toVaultPath(path.join(sourceAbs, file)));
+            if (mappingScope.unpublish) {
+                mappingPlan.withdrawn = notePaths;
+            } else {
+                mappingPlan.republished = notePaths.filter(notePath => withheld.delete(notePath));
+            }
+        }
+
+        const { included, excluded } = await this.filterPublishableFiles(
+            mapping, sourceAbs, await this.getAllFilesRelative(sourceAbs), mappingPlan.warnings, withheld
+        );
+        mappingPlan.filteredOut = excluded;
+
+        let sourceFiles = included;
+        if (mappingScope) {
+            sourceFiles = mappingScope.unpublish ? [] : included.filter(file => mappingScope.files.has(file));
+            if (!mappingScope.unpublish) {
+                excluded
+                    .filter(file => mappingScope.files.has(file))
+                    .forEach(file => mappingPlan.warnings.push(`${file}: 不符合发布规则，未推送`));
+            }
+        }
+
+        // 需要添加slug的文件：与同步的文件相同，包括子文件夹中的笔记
+        if (this.settings.autoSlug) {
+            const slugIncludePatterns = mapping.slugIncludePatterns || [];
+            const slugExcludePatterns = mapping.slugExcludePatterns || [];
+            const mdFiles = sourceFiles.filter(file => {
+                if (path.extname(file).toLowerCase() !== ".md") return false;
+                const posixPath = file.split(path.sep).join("/");
+                return (slugIncludePatterns.length === 0 || matchesAnyGlob(posixPath, slugIncludePatterns))
+                    && !matchesAnyGlob(posixPath, slugExcludePatterns);
+            });
+            const slugScans = manifest.slugScans || {};
+            const candidates = await this.getFilesToProcess(mdFiles, sourceAbs, slugScans[mapping.source] || 0);
+            // 只处理指定笔记时不更新扫描时间
+            mappingPlan.slugScanned = !mappingScope;
+            for (const file of candidates) {
+                let frontMatter;
+                try {
+                    frontMatter = readFrontMatter(await fs.readFile(path.join(sourceAbs, file), "utf8"));
+                    if (frontMatter.slug) continue;
+                } catch (error) {
+                    mappingPlan.warnings.push(`${file}: ${error.message}，未添加slug`);
+                    continue;
+                }
+                const plannedSlug = slugState.planned && slugState.planned.get(path.join(sourceAbs, file));
+                mappingPlan.slugs.push({ file, slug: plannedSlug || this.generateSlug(file, frontMatter, slugState) });
+            }
+        }
+        let slugFiles = new Set(mappingPlan.slugs.map(s => s.file));
+
+        const targetFiles = await this.getAllFilesRelative(targetAbs);
+
+        if (mapping.includeAttachments) {
+            mappingPlan.attachments = await this.collectAttachments(blog, mapping, sourceAbs, sourceFiles);
+            for (const attachment of mappingPlan.attachments) {
+                mappingPlan.copySources[attachment.file] = attachment.sourcePath;
+                sourceFiles.push(attachment.file);
+            }
+        }
+
+        // 输出配置可能改变笔记在目标文件夹中的文件名
+        if (mappingPlan.profile && mappingPlan.profile.fileName) {
+            ({ files: sourceFiles, slugFiles } = await this.applyOutputFileNames(mappingPlan, sourceFiles, slugFiles));
+        }
+
+        const sourceFileSet = new Set(sourceFiles);
+        const targetFileSet = new Set(targetFiles);
+
+        // 1. 源文件夹中新增或更新的文件（添加slug的文件也会被更新）。
+        // 通过内容哈希判断：与上次发布时的源文件和目标文件哈希都一致才算未变更，
+        // 清单中没有记录时直接比较源文件与目标文件；输出配置或规则修改后所有笔记都重新生成
+        const { renderHash } = mappingPlan;
+        const sourceHashes = new Map();
+        progress.start(`正在比较 ${blog.name}（${mappingLabel(mapping)}）`, sourceFiles.length);
+        const comparisons = await mapWithConcurrency(sourceFiles, FILE_CONCURRENCY, async file => {
+            try {
+                const sourceHash = hashContent(await fs.readFile(mappingPlan.copySources[file] || path.join(sourceAbs, file)));
+                if (!targetFileSet.has(file)) return { file, sourceHash, status: "add" };
+
+                const targetHash = hashContent(await fs.readFile(path.join(targetAbs, file)));
+                const entry = manifest.files[this.toManifestKey(mapping, file)];
+                const unchanged = entry
+                    ? entry.sourceHash === sourceHash && entry.targetHash === targetHash
+                        && (entry.renderHash || null) === renderHash
+                    : sourceHash === targetHash;
+                return { file, sourceHash, targetHash, status: slugFiles.has(file) || !unchanged ? "update" : "unchanged" };
+            } catch (error) {
+                console.error(`无法比较文件 ${file}:`, error);
+                mappingPlan.warnings.push(`${file}: 无法读取（${error.message}），未同步`);
+                return null;
+            } finally {
+                progress.tick();
+            }
+        }, () => progress.cancelled);
+
+        // 按源文件的顺序记录，结果与并发完成的先后无关
+        for (const comparison of comparisons) {
+            if (!comparison) continue;
+            const { file, sourceHash, targetHash, status } = comparison;
+            sourceHashes.set(file, sourceHash);
+            if (status === "add") mappingPlan.add.push(file);
+            else if (status === "update") mappingPlan.update.push(file);
+            else mappingPlan.hashes[file] = { sourceHash, targetHash, renderHash };
+        }
+
+        // 2. 严格同步时，目标文件夹中多余的文件（包括不再被引用的附件）；
+        // 只处理指定笔记时不做严格同步，撤回时删除这些笔记
+        if (mappingScope) {
+            if (mappingScope.unpublish) {
+                // 按清单中记录的源文件查找，输出文件名可能与源文件不同
+                const sourceVaultPaths = new Set(
+                    [...mappingScope.files].map(file => this.toVaultPath(path.join(sourceAbs, file)))
+                );
+                mappingPlan.delete = targetFiles.filter(file => {
+                    const entry = manifest.files[this.toManifestKey(mapping, file)];
+                    return mappingScope.files.has(file) || (entry && sourceVaultPaths.has(entry.source));
+                });
+            }
+        } else {
+            mappingPlan.orphans = targetFiles.filter(file => !sourceFileSet.has(file));
+        }
+        if (!mappingScope && mapping.enableFolderMatching) {
+            mappingPlan.delete = [...mappingPlan.orphans];
+            await this.detectRenames(mappingPlan, manifest, sourceHashes, slugFiles);
+
+            const maxPercent = this.settings.maxDeletePercent;
+            const deleteCount = mappingPlan.delete.length;
+            if (!inspect && maxPercent > 0 && deleteCount > 0 && deleteCount * 100 > targetFiles.length * maxPercent) {
+                throw new Error(
+                    `严格同步将删除 "${mapping.target || "根目录"}" 中 ${deleteCount}/${targetFiles.length} 个文件，`
+                    + `超过设置的 ${maxPercent}%，已取消同步。请检查源文件夹，确认无误后可在设置中调高上限`
+                );
+            }
+        }
+
+        // 3. 清理后会留下的空文件夹
+        const deleteSet = new Set(mappingPlan.delete.concat(mappingPlan.renames.map(r => r.from)));
+        const remainingFiles = targetFiles
+            .filter(file => !deleteSet.has(file))
+            .concat(mappingPlan.add, mappingPlan.renames.map(r => r.to));
+        const targetDirs = await this.getAllDirsRelative(targetAbs);
+        mappingPlan.emptyDirs = targetDirs.filter(dir => !remainingFiles.some(
+            file => dir === "" || file.startsWith(dir + path.sep)
+        ));
+
+        return mappingPlan;
+    }
+
+    // 映射的输出配置，映射未设置时使用博客的输出配置
+    getOutputProfile(blog, mapping) {
+        const id = mapping.outputProfile || blog.outputProfile;
+        if (!id || id === "none") return null;
+        return BUILTIN_OUTPUT_PROFILES[id]
+            || (this.settings.outputProfiles || []).find(profile => profile.id === id)
+            || null;
+    }
+
+    // 按输出配置的文件名模板重命名笔记，源文件记录在 copySources 中。
+    // 返回目标文件夹中的文件列表，以及需要添加slug的笔记对应的输出文件
+    async applyOutputFileNames(mappingPlan, files, slugFiles) {
+        const { profile, sourceAbs } = mappingPlan;
+        const plannedSlugs = new Map(mappingPlan.slugs.map(({ file, slug }) => [file, slug]));
+        const outputFiles = new Set();
+        const outputSlugFiles = new Set();
+
+        for (const file of files) {
+            // 收集的附件和其他文件保持原名
+            if (mappingPlan.copySources[file] || path.extname(file).toLowerCase() !== ".md") {
+                outputFiles.add(file);
+                continue;
+            }
+
+            const sourcePath = path.join(sourceAbs, file);
+            let frontMatter = {};
+            try {
+                frontMatter = readFrontMatter(await fs.readFile(sourcePath, "utf8"));
+            } catch {}
+            const output = outputFileName(profile.fileName, file, {
+                slug: frontMatter.slug || plannedSlugs.get(file),
+                date: frontMatter.date,
+                created: fileCreatedTime(await fs.stat(sourcePath)),
+            });
+
+            if (outputFiles.has(output)) {
+                mappingPlan.warnings.push(`${file}: 输出文件 ${output} 与其他笔记重复，未发布`);
+                continue;
+            }
+            if (output !== file) {
+                mappingPlan.copySources[output] = sourcePath;
+            }
+            outputFiles.add(output);
+            if (slugFiles.has(file)) outputSlugFiles.add(output);
+        }
+        return { files: [...outputFiles], slugFiles: outputSlugFiles };
+    }
+
+    // 将内容与被删除文件上次发布时相同的新增文件识别为重命名
+    async detectRenames(mappingPlan, manifest, sourceHashes, slugFiles) {
+        const { mapping, targetAbs } = mappingPlan;
+        const deletedByHash = new Map();
+        for (const file of mappingPlan.delete) {
+            const entry = manifest.files[this.toManifestKey(mapping, file)];
+            let hash = entry ? entry.sourceHash : null;
+            if (!hash) {
+                try {
+                    hash = hashContent(await fs.readFile(path.join(targetAbs, file)));
+                } catch {
+                    continue;
+                }
+            }
+            if (!deletedByHash.has(hash)) deletedByHash.set(hash, file);
+        }
+
+        for (const file of [...mappingPlan.add]) {
+            const from = deletedByHash.get(sourceHashes.get(file));
+            // 需要写入slug的文件内容会改变，不按重命名处理
+            if (!from || slugFiles.has(file)) continue;
+
+            deletedByHash.delete(sourceHashes.get(file));
+            mappingPlan.renames.push({ from, to: file });
+            mappingPlan.add.splice(mappingPlan.add.indexOf(file), 1);
+            mappingPlan.delete.splice(mappingPlan.delete.indexOf(from), 1);
+        }
+    }
+
+    // 按路径映射的发布规则筛选源文件。front matter规则只作用于Markdown笔记，
+    // 无法解析front matter的笔记会被排除并记录警告；withheld 中的笔记（库中路径）已被撤回，同样排除
+    async filterPublishableFiles(mapping, sourceAbs, files, warnings, withheld = new Set()) {
+        const includePatterns = mapping.includePatterns || [];
+        const excludePatterns = mapping.excludePatterns || [];
+        const checkFrontMatter = usesFrontMatterFilter(mapping);
+
+        const included = [];
+        const excluded = [];
+        for (const file of files) {
+            const posixPath = file.split(path.sep).join("/");
+            let publishable = (includePatterns.length === 0 || matchesAnyGlob(posixPath, includePatterns))
+                && !matchesAnyGlob(posixPath, excludePatterns)
+                && !withheld.has(this.toVaultPath(path.join(sourceAbs, file)));
+
+            if (publishable && checkFrontMatter && path.extname(file).toLowerCase() === ".md") {
+                try {
+                    const frontMatter = readFrontMatter(await fs.readFile(path.join(sourceAbs, file), "utf8"));
+                    publishable = passesFrontMatterFilter(frontMatter, mapping);
+                } catch (error) {
+                    warnings.push(`${file}: ${error.message}，未发布`);
+                    publishable = false;
+                }
+            }
+
+            (publishable ? included : excluded).push(file);
+        }
+        return { included, excluded };
+    }
+
+    // 收集映射中笔记引用、但不在任何路径映射中的附件，统一放到附件文件夹
+    async collectAttachments(blog, mapping, sourceAbs, sourceFiles) {
+        const referenced = new Map();
+
+        for (const file of sourceFiles) {
+            if (path.extname(file).toLowerCase() !== ".md") continue;
+
+            const sourcePath = path.join(sourceAbs, file);
+            const fromVaultPath = this.toVaultPath(sourcePath);
+            let content;
+            try {
+                content = await fs.readFile(sourcePath, "utf8");
+            } catch {
+                continue;
+            }
+
+            for (const linkpath of extractLinkpaths(content)) {
+                const target = this.app.metadataCache.getFirstLinkpathDest(linkpath, fromVaultPath);
+                if (!target || target.extension === "md") continue;
+                if (this.findPublishedLocation(blog, target.path)) continue;
+                referenced.set(target.path, path.join(this.app.vault.adapter.basePath, target.path));
+            }
+        }
+
+        // 同名附件追加序号，按路径排序保证每次分配的文件名一致
+        const folder = path.normalize(mapping.attachmentsFolder || MAPPING_OPTION_DEFAULTS.attachmentsFolder);
+        const usedNames = new Set();
+        const attachments = [];
+        for (const vaultPath of [...referenced.keys()].sort()) {
+            const ext = path.posix.extname(vaultPath);
+            const base = path.posix.basename(vaultPath, ext);
+            let name = `${base}${ext}`;
+            for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+                name = `${base}-${n}${ext}`;
+            }
+            usedNames.add(name.toLowerCase());
+            attachments.push({ vaultPath, sourcePath: referenced.get(vaultPath), file: path.join(folder, name) });
+        }
+        return attachments;
+    }
+
+    // 按同步计划执行：添加slug、复制、删除并在需要时推送
+    // options.quiet 为 true 时（自动推送）不提示“无内容更新”；options.progress 显示进度并可取消推送。
+    // 返回每个博客的结果 { blog, changedFiles, failed, error }，failed 为同步失败的文件
+    async executeSyncPlan(plan, options = {}) {
+        const progress = options.progress || new SyncProgress({ quiet: true });
+        const assignedSlugs = [];
+        const results = [];
+        const run = { id: plan.runId || createId(), startedAt: Date.now(), blogs: [] };
+
+        for (const [index, plannedBlog] of plan.blogs.entries()) {
+            let blogPlan = plannedBlog;
+            const { blog } = blogPlan;
+            // 取消后剩下的博客不再处理
+            if (progress.cancelled) break;
+            if (blogPlan.error) {
+                new Notice(`博客 "${blog.name}" ${blogPlan.error}`);
+                results.push({ blog, changedFiles: [], failed: [], error: new Error(blogPlan.error) });
+                continue;
+            }
+
+            let allChangedFilesForBlog = [];
+            const failed = []; // [{ file, action, message }]，file 相对于博客文件夹
+            const changeSummary = { blog: blog.name, added: [], updated: [], deleted: [], renamed: [], titles: [], mappings: [] };
+            const historyEntry = {
+                blogId: blog.id,
+                blogName: blog.name,
+                mappings: changeSummary.mappings,
+                added: changeSummary.added,
+                updated: changeSummary.updated,
+                deleted: changeSummary.deleted,
+                renamed: changeSummary.renamed,
+                slugs: [],
+                hooks: [], // [{ stage, command, code, timedOut, output, duration }]
+                failed,
+                commitHash: null,
+                pushed: false,
+                error: null,
+            };
+            const backupDir = path.join(this.getHistoryDir(), run.id, blog.id);
+            const trashDir = this.createTrashDir(blog, new Date(run.startedAt));
+            let synced = false;
+
+            try {
+                if (blog.deliveryType === "git" && blog.gitRequireClean) {
+                    const unrelated = await this.getUnrelatedChanges(blog);
+                    if (unrelated.length > 0) {
+                        throw new GitError("dirty", "", unrelated.slice(0, 5).join(", ") + (unrelated.length > 5 ? ` 等${unrelated.length}个文件` : ""));
+                    }
+                }
+
+                // 同步前钩子每次推送都执行；预览同步时已在展示计划前执行过
+                if (plan.preSyncDone) {
+                    historyEntry.hooks.push(...(blogPlan.preSyncHooks || []));
+                } else {
+                    blogPlan = await this.runPreSyncHook(plan, index, run.id, historyEntry.hooks, progress);
+                }
+
+                // 先为所有映射写入slug，转换链接时才能拿到被链接笔记的slug
+                for (const mappingPlan of blogPlan.mappings) {
+                    for (const { file, slug } of mappingPlan.slugs) {
+                        const notePath = this.toVaultPath(path.join(mappingPlan.sourceAbs, file));
+                        if (await this.addSlugToFile(path.join(mappingPlan.sourceAbs, file), slug)) {
+                            assignedSlugs.push({ slug, path: notePath });
+                            historyEntry.slugs.push({ file: notePath, slug });
+                        }
+                    }
+                    // 每个路径映射单独记录扫描时间，随同步清单保存
+                    if (mappingPlan.slugScanned) {
+                        blogPlan.manifest.slugScans = blogPlan.manifest.slugScans || {};
+                        blogPlan.manifest.slugScans[mappingPlan.mapping.source] = plan.createdAt;
+                    }
+                }
+
+                const linkContext = this.createLinkContext(blogPlan);
+                const totalOperations = blogPlan.mappings.reduce((sum, mappingPlan) => sum
+                    + mappingPlan.add.length + mappingPlan.update.length + mappingPlan.delete.length
+                    + mappingPlan.renames.length * 2, 0);
+                progress.start(`正在同步 ${blog.name}（${index + 1}/${plan.blogs.length}）`, totalOperations);
+
+                for (const mappingPlan of blogPlan.mappings) {
+                    if (progress.cancelled) break;
+                    const { mapping } = mappingPlan;
+
+                    const result = await this.syncDirectories(mappingPlan, linkContext, blogPlan.manifest, backupDir, trashDir, progress);
+                    this.recordWithdrawnNotes(blogPlan.manifest, mappingPlan);
+                    const toKey = file => this.toManifestKey(mapping, file);
+                    failed.push(...result.failed.map(failure => ({ ...failure, file: toKey(failure.file) })));
+                    if (result.changedFiles.length > 0) {
+                        allChangedFilesForBlog.push(...result.changedFiles.map(toKey));
+                        changeSummary.added.push(...result.added.map(toKey));
+                        changeSummary.updated.push(...result.updated.map(toKey));
+                        changeSummary.deleted.push(...result.deleted.map(toKey));
+                        changeSummary.renamed.push(...result.renamed.map(({ from, to }) => ({ from: toKey(from), to: toKey(to) })));
+                        changeSummary.titles.push(...result.titles);
+                        changeSummary.mappings.push(mappingLabel(mapping));
+                    }
+                }
+                if (progress.cancelled) {
+                    // 已经同步的文件留到下次推送时一起发布
+                    blogPlan.manifest.pendingDelivery = Array.from(new Set([
+                        ...(blogPlan.manifest.pendingDelivery || []), ...allChangedFilesForBlog,
+                    ]));
+                    await this.saveSyncManifest(blog, blogPlan.manifest);
+                    throw new SyncCancelledError();
+                }
+                await this.saveSyncManifest(blog, blogPlan.manifest);
+                synced = true;
+
+                if (changeSummary.deleted.length > 0) {
+                    new Notice(`博客 "${blog.name}" 删除的 ${changeSummary.deleted.length} 个文件已移入回收站：${trashDir}`);
+                }
+
+                const planWarnings = blogPlan.mappings.flatMap(mappingPlan => mappingPlan.warnings);
+                if (planWarnings.length > 0) {
+                    console.warn(`博客 ${blog.name} 的同步警告:`, planWarnings);
+                    new Notice(`博客 "${blog.name}" ${planWarnings[0]}${planWarnings.length > 1 ? ` 等${planWarnings.length}条警告` : ""}`);
+                }
+
+                if (linkContext.warnings.length > 0) {
+                    console.warn(`博客 ${blog.name} 中指向未发布笔记的链接:`, linkContext.warnings);
+                    new Notice(`博客 "${blog.name}" 有 ${linkContext.warnings.length} 个链接指向未发布的笔记，已转为纯文本`);
+                }
+
+                const commitMessage = this.createCommitMessage(blog, changeSummary);
+                const hookContext = { runId: run.id, hookLog: historyEntry.hooks };
+                const delivery = await this.deliverBlog(blog, blogPlan.manifest, allChangedFilesForBlog, commitMessage, hookContext);
+                if (delivery) {
+                    historyEntry.commitHash = delivery.commitHash || null;
+                    historyEntry.pushed = delivery.pushed;
+                    if (delivery.pushed) {
+                        await this.runBlogHook(blog, "postPush", { changedFiles: delivery.files, commitHash: delivery.commitHash, runId: run.id }, historyEntry.hooks);
+                    }
+                }
+
+                if (failed.length > 0) {
+                    new Notice(`博客 "${blog.name}" 已同步，${failed.length} 个文件失败`);
+                } else if (allChangedFilesForBlog.length > 0) {
+                    new Notice(`博客 "${blog.name}" 内容已同步`);
+                } else if (!options.quiet) {
+                    new Notice(`博客 "${blog.name}" 无内容更新`);
+                }
+                results.push({ blog, changedFiles: allChangedFilesForBlog, failed, error: null });
+
+            } catch (error) {
+                if (!(error instanceof SyncCancelledError)) {
+                    console.error(`处理博客 ${blog.name} 出错:`, error);
+                }
+                results.push({ blog, changedFiles: allChangedFilesForBlog, failed, error });
+                historyEntry.error = error.message + (error.detail ? `（${error.detail}）` : "");
+                if (error instanceof SyncCancelledError) {
+                    // 推送结束后统一提示
+                } else if (error instanceof GitError || error instanceof DeliveryError || error instanceof HookError) {
+                    // 推送和钩子错误需要用户处理，提示保留更长时间
+                    const detail = error.detail ? `（${error.detail}）` : "";
+                    const prefix = synced ? "文件已同步，但" : "";
+                    const label = error instanceof GitError ? "Git推送失败："
+                        : error instanceof DeliveryError ? `${DELIVERY_TARGETS[blog.deliveryType].name}发布失败：`
+                        : "";
+                    new Notice(`博客 "${blog.name}" ${prefix}${label}${error.message}${detail}`, 15000);
+                } else {
+                    new Notice(`推送 ${blog.name} 失败: ${error.message}`);
+                }
+            }
+
+            if (allChangedFilesForBlog.length > 0 || historyEntry.slugs.length > 0 || failed.length > 0 || historyEntry.error) {
+                run.blogs.push(historyEntry);
+            }
+        }
+
+        if (progress.cancelled) {
+            new Notice("推送已取消，已同步的文件将在下次推送时发布");
+        }
+        const failures = results.filter(result => result.failed.length > 0);
+        if (failures.length > 0) {
+            const count = failures.reduce((sum, result) => sum + result.failed.length, 0);
+            console.warn("同步失败的文件:", failures.map(({ blog, failed }) => ({ blog: blog.name, failed })));
+            if (options.quiet) {
+                new Notice(`推送时有 ${count} 个文件同步失败，详见推送历史`, 15000);
+            } else {
+                new SyncFailuresModal(this.app, failures).open();
+            }
+        }
+
+        // 没有任何变更的推送不记录
+        if (run.blogs.length > 0) {
+            run.finishedAt = Date.now();
+            await this.recordRun(run);
+        }
+
+        await this.cleanTrash();
+
+        if (this.settings.autoSlug) {
+            await this.registerSlugs(assignedSlugs);
+        }
+        return results;
+    }
+
+    createCommitMessage(blog, changeSummary) {
+        return formatCommitMessage(
+            blog.commitMessageTemplate || BLOG_OPTION_DEFAULTS.commitMessageTemplate,
+            changeSummary,
+            { includeBody: blog.commitMessageBody }
+        );
+    }
+
+    // 上次扫描（since）之后修改过、或者还没有slug的笔记
+    async getFilesToProcess(mdFiles, source, since) {
+        const selected = await mapWithConcurrency(mdFiles, FILE_CONCURRENCY, async file => {
+            const filePath = path.join(source, file);
+            const stats = await fs.stat(filePath);
+            return stats.mtimeMs > since || !(await this.hasSlug(filePath));
+        });
+        return mdFiles.filter((file, index) => selected[index]);
+    }
+
+    async hasSlug(filePath) {
+        try {
+            const content = await fs.readFile(filePath, "utf8");
+            return Boolean(readFrontMatter(content).slug);
+        } catch { return false; }
+    }
+
+    // 写入计划中分配的slug，文件已有slug时跳过并返回false；overwrite 为 true 时替换已有的slug
+    async addSlugToFile(filePath, slug, overwrite = false) {
+        try {
+            const content = await fs.readFile(filePath, "utf8");
+            if (readFrontMatter(content).slug && !overwrite) return false;
+
+            // 确保ID没有引号，写入时统一使用双引号
+            const cleanId = String(slug).replace(/"/g, '');
+            const updated = updateFrontMatter(content, doc => setFrontMatterField(doc, "slug", cleanId, true));
+
+            await fs.writeFile(filePath, updated);
+            this.recordOwnWrite(filePath, updated);
+            return true;
+        } catch (error) {
+            console.error(`添加slug出错: ${filePath}`, error);
+            return false;
+        }
+    }
+
+    // --- slug索引：slug → 笔记路径，笔记重命名时随之更新 ---
+
+    getSlugRegistryPath() {
+        return path.join(this.dataPath, "slug-registry.json");
+    }
+
+    // 索引常驻内存，第一次使用时读取；旧版本的 .global-ids.json 只有ID，迁移后路径为null
+    async getSlugRegistry() {
+        if (this.slugRegistry) return this.slugRegistry;
+
+        let registry = null;
+        try {
+            registry = JSON.parse(await fs.readFile(this.getSlugRegistryPath(), "utf8"));
+        } catch {}
+        if (!registry || !registry.slugs) {
+            registry = { slugs: {} };
+            try {
+                const legacyIds = JSON.parse(await fs.readFile(path.join(this.dataPath, ".global-ids.json"), "utf8"));
+                for (const id of legacyIds) {
+                    registry.slugs[String(id).replace(/"/g, '')] = { path: null, assignedAt: 0 };
+                }
+            } catch {}
+        }
+        this.slugRegistry = registry;
+        return registry;
+    }
+
+    async saveSlugRegistry() {
+        await fs.writeFile(this.getSlugRegistryPath(), JSON.stringify(await this.getSlugRegistry(), null, 2));
+    }
+
+    async loadUsedIds() {
+        return Object.keys((await this.getSlugRegistry()).slugs);
+    }
+
+    // 笔记或文件夹重命名后更新索引中的路径
+    async onNoteRenamed(file, oldPath) {
+        const registry = await this.getSlugRegistry();
+        let changed = false;
+        for (const entry of Object.values(registry.slugs)) {
+            if (!entry.path) continue;
+            if (entry.path === oldPath) {
+                entry.path = file.path;
+                changed = true;
+            } else if (entry.path.startsWith(`${oldPath}/`)) {
+                entry.path = file.path + entry.path.slice(oldPath.length);
+                changed = true;
+            }
+        }
+        if (changed) await this.saveSlugRegistry();
+
+        // 撤回过的笔记改名后仍不发布
+        for (const blog of this.settings.blogs || []) {
+            const manifest = await this.loadSyncManifest(blog);
+            if (!manifest.unpublished || manifest.unpublished.length === 0) continue;
+            const renamed = manifest.unpublished.map(notePath => {
+                if (notePath === oldPath) return file.path;
+                return notePath.startsWith(`${oldPath}/`) ? file.path + notePath.slice(oldPath.length) : notePath;
+            });
+            if (renamed.some((notePath, i) => notePath !== manifest.unpublished[i])) {
+                manifest.unpublished = renamed.sort();
+                await this.saveSyncManifest(blog, manifest);
+            }
+        }
+    }
+
+    // 扫描所有路径映射源文件夹中的笔记，返回 Map<slug, 笔记路径[]>
+    async scanNoteSlugs() {
+        const notes = new Map();
+        const slugs = new Map();
+        for (const blog of this.settings.blogs || []) {
+            for (const mapping of blog.pathMappings || []) {
+                if (!blog.blogRepoPath || !mapping.source) continue;
+                const { sourceAbs } = this.resolveMappingPaths(blog, mapping);
+                for (const file of await this.getAllFilesRelative(sourceAbs)) {
+                    if (path.extname(file).toLowerCase() !== ".md") continue;
+                    const notePath = this.toVaultPath(path.join(sourceAbs, file));
+                    if (notes.has(notePath)) continue;
+
+                    let slug = null;
+                    try {
+                        slug = readFrontMatter(await fs.readFile(path.join(sourceAbs, file), "utf8")).slug;
+                    } catch {}
+                    notes.set(notePath, slug ? String(slug) : null);
+                    if (!slug) continue;
+                    if (!slugs.has(String(slug))) slugs.set(String(slug), []);
+                    slugs.get(String(slug)).push(notePath);
+                }
+            }
+        }
+        return slugs;
+    }
+
+    // 检查slug：duplicates 多篇笔记使用同一个slug；orphans 没有任何笔记使用的slug；
+    // edited 笔记中的slug与索引记录的不一致（手动修改或复制的笔记）
+    async validateSlugs() {
+        const registry = await this.getSlugRegistry();
+        const noteSlugs = await this.scanNoteSlugs();
+        const report = { duplicates: [], orphans: [], edited: [] };
+
+        for (const [slug, notes] of noteSlugs) {
+            if (notes.length > 1) {
+                // 索引中登记的笔记保留slug，其余笔记需要更换
+                const owner = registry.slugs[slug] && notes.includes(registry.slugs[slug].path)
+                    ? registry.slugs[slug].path
+                    : notes[0];
+                report.duplicates.push({ slug, owner, others: notes.filter(note => note !== owner) });
+            }
+        }
+
+        // 登记的路径不对、但仍有笔记使用的slug归入 edited
+        for (const [slug, entry] of Object.entries(registry.slugs)) {
+            if (!noteSlugs.has(slug)) {
+                report.orphans.push({ slug, path: entry.path });
+            }
+        }
+
+        const registeredPaths = new Map(
+            Object.entries(registry.slugs).filter(([, entry]) => entry.path).map(([slug, entry]) => [entry.path, slug])
+        );
+        const duplicated = new Set(report.duplicates.flatMap(dup => dup.others));
+        for (const [slug, notes] of noteSlugs) {
+            for (const note of notes) {
+                if (duplicated.has(note)) continue;
+                const entry = registry.slugs[slug];
+                if (!entry || entry.path !== note) {
+                    report.edited.push({ slug, path: note, registered: registeredPaths.get(note) || null });
+                }
+            }
+        }
+        return report;
+    }
+
+    // 为重复slug中非登记的笔记重新生成slug
+    async fixDuplicateSlugs(duplicates) {
+        const slugState = {
+            usedIds: new Set([...(await this.loadUsedIds()), ...(await this.scanNoteSlugs()).keys()]),
+            nextSequential: this.settings.sequentialSlugStart,
+        };
+        const basePath = this.app.vault.adapter.basePath;
+        const assigned = [];
+        for (const { others } of duplicates) {
+            for (const note of others) {
+                const filePath = path.join(basePath, note);
+                let frontMatter = {};
+                try {
+                    frontMatter = readFrontMatter(await fs.readFile(filePath, "utf8"));
+                } catch {}
+                const slug = this.generateSlug(note, frontMatter, slugState);
+                if (await this.addSlugToFile(filePath, slug, true)) {
+                    assigned.push({ slug, path: note });
+                }
+            }
+        }
+        await this.registerSlugs(assigned);
+        return assigned.length;
+    }
+
+    // 释放找不到笔记的slug，之后可以重新分配
+    async releaseSlugs(slugs) {
+        const registry = await this.getSlugRegistry();
+        for (const slug of slugs) delete registry.slugs[slug];
+        await this.saveSlugRegistry();
+    }
+
+    // 以笔记中的slug为准登记，同一笔记之前登记的slug一并移除
+    async adoptSlugs(edited) {
+        const registry = await this.getSlugRegistry();
+        for (const { slug, path: notePath, registered } of edited) {
+            if (registered && registered !== slug) delete registry.slugs[registered];
+            registry.slugs[slug] = { path: notePath, assignedAt: Date.now() };
+        }
+        await this.saveSlugRegistry();
+    }
+
+    // 按所有源文件夹中笔记的slug重建索引，重复的slug登记第一篇笔记
+    async rebuildSlugRegistry() {
+        const registry = await this.getSlugRegistry();
+        const previous = registry.slugs;
+        registry.slugs = {};
+        for (const [slug, notes] of await this.scanNoteSlugs()) {
+            const owner = previous[slug] && notes.includes(previous[slug].path) ? previous[slug].path : notes[0];
+            registry.slugs[slug] = { path: owner, assignedAt: previous[slug] ? previous[slug].assignedAt : Date.now() };
+        }
+        await this.saveSlugRegistry();
+        return Object.keys(registry.slugs).length;
+    }
+
+    // 按设置的方式生成slug，标题方式优先使用front matter中的title，其次是文件名
+    generateSlug(file, frontMatter, slugState) {
+        if (this.settings.slugGenerationMethod === 'title') {
+            const title = frontMatter.title || path.basename(file, path.extname(file));
+            const slug = this.generateTitleSlug(title, slugState);
+            if (slug) return slug;
+        }
+        return this.generateUniqueNumericId(slugState);
+    }
+
+    // 标题转换结果为空（例如只有表情符号）时返回null，由调用方回退到数字ID
+    generateTitleSlug(title, slugState) {
+        const { usedIds } = slugState;
+        const separator = this.settings.titleSlugSeparator;
+        const maxLength = this.settings.titleSlugMaxLength;
+        const base = slugifyTitle(title, {
+            separator,
+            maxLength,
+            lowercase: this.settings.titleSlugLowercase,
+        });
+        if (!base) return null;
+
+        // 冲突时追加序号：title, title-2, title-3 ...
+        let slug = base;
+        for (let n = 2; usedIds.has(slug); n++) {
+            const suffix = `${separator}${n}`;
+            const head = maxLength > 0 ? base.slice(0, Math.max(1, maxLength - suffix.length)) : base;
+            slug = `${head}${suffix}`;
+        }
+
+        usedIds.add(slug);
+        return slug;
+    }
+
+    // 在内存中分配ID，真正写入slug索引要等计划执行后
+    generateUniqueNumericId(slugState) {
+        const { usedIds } = slugState;
+
+        let newId;
+        if (this.settings.slugGenerationMethod === 'sequential') {
+            let nextId = slugState.nextSequential;
+            while (usedIds.has(String(nextId))) {
+                nextId++;
+            }
+            newId = nextId;
+            slugState.nextSequential = newId + 1;
+        } else {
+            const generateId = () => Math.floor(100000 + Math.random() * 900000);
+            do {
+                newId = generateId();
+            } while (usedIds.has(String(newId)));
+        }
+
+        usedIds.add(String(newId));
+        return String(newId);
+    }
+
+    // 登记新分配的slug：[{ slug, path }]
+    async registerSlugs(assigned) {
+        if (assigned.length === 0) return;
+
+        const registry = await this.getSlugRegistry();
+        for (const { slug, path: notePath } of assigned) {
+            registry.slugs[slug] = { path: notePath, assignedAt: Date.now() };
+        }
+        await this.saveSlugRegistry();
+
+        if (this.settings.slugGenerationMethod === 'sequential') {
+            const maxId = Math.max(...assigned.map(({ slug }) => parseInt(slug, 10)).filter(n => !isNaN(n)));
+            if (maxId >= this.settings.sequentialSlugStart) {
+                this.settings.sequentialSlugStart = maxId + 1;
+                await this.saveSettings();
+            }
+        }
+    }
+
+    createLinkContext(blogPlan) {
+        // 被发布规则过滤掉的笔记视为未发布
+        const excluded = new Set();
+        for (const mappingPlan of blogPlan.mappings) {
+            for (const file of mappingPlan.filteredOut) {
+                excluded.add(this.toVaultPath(path.join(mappingPlan.sourceAbs, file)));
+            }
+        }
+        return { blog: blogPlan.blog, excluded, slugCache: new Map(), warnings: [] };
+    }
+
+    toVaultPath(absPath) {
+        return path.relative(this.app.vault.adapter.basePath, absPath).split(path.sep).join("/");
+    }
+
+    // 查找文件在博客中的发布位置，未被任何路径映射包含时返回null
+    findPublishedLocation(blog, vaultPath) {
+        for (const mapping of blog.pathMappings) {
+            const { sourceAbs } = this.resolveMappingPaths(blog, mapping);
+            const sourceVaultPath = this.toVaultPath(sourceAbs);
+            if (sourceVaultPath.startsWith("..")) continue;
+
+            const prefix = sourceVaultPath ? `${sourceVaultPath}/` : "";
+            if (vaultPath.startsWith(prefix)) {
+                return { mapping, sourceAbs, relativePath: vaultPath.slice(prefix.length) };
+            }
+        }
+        return null;
+    }
+
+    async readPublishedSlug(filePath, linkContext) {
+        if (!linkContext.slugCache.has(filePath)) {
+            let slug = null;
+            try {
+                slug = readFrontMatter(await fs.readFile(filePath, "utf8")).slug || null;
+            } catch {}
+            linkContext.slugCache.set(filePath, slug);
+        }
+        return linkContext.slugCache.get(filePath);
+    }
+
+    // 将笔记中的双链和嵌入转换为发布后的标准Markdown链接，
+    // 并把指向已收集附件的链接改为附件文件夹中的位置
+    async transformMarkdown(content, sourcePath, linkContext, mappingPlan) {
+        const { blog } = linkContext;
+        const fromVaultPath = this.toVaultPath(sourcePath);
+
+        // 先异步解析所有链接目标，再同步替换
+        const resolved = new Map();
+        for (const linkpath of extractLinkpaths(content)) {
+            resolved.set(linkpath, await this.resolvePublishedUrl(linkpath, fromVaultPath, linkContext, mappingPlan));
+        }
+
+        // 先处理Markdown链接，避免把双链转换出的新链接再处理一遍
+        let result = content;
+        if (mappingPlan.attachments.length > 0) {
+            result = rewriteMarkdownLinks(result, ({ linkpath, text, title, embed, original }) => {
+                const target = resolved.get(linkpath);
+                if (!target || !target.isAttachment) return original;
+                return `${embed ? "!" : ""}[${text}](${encodeURI(target.url)}${title})`;
+            });
+        }
+
+        return rewriteWikiLinks(result, ({ linkpath, subpath, alias, embed, original }) => {
+            const target = linkpath ? resolved.get(linkpath) : null;
+            // 未开启双链转换时只改写指向已收集附件的嵌入
+            if (!blog.convertWikiLinks && !(target && target.isAttachment)) return original;
+
+            const anchor = subpath ? headingAnchor(subpath) : "";
+            const name = linkpath ? path.posix.basename(linkpath).replace(/\.md$/i, "") : "";
+            const heading = subpath && subpath.startsWith("^") ? "" : subpath;
+            const displayText = alias || [name, heading].filter(Boolean).join(" > ");
+
+            // 链接到当前笔记内的标题
+            if (!linkpath) {
+                return `[${escapeLinkText(displayText)}](#${encodeURI(anchor)})`;
+            }
+
+            if (!target) {
+                if (blog.unpublishedLinkAction === "warn") {
+                    linkContext.warnings.push(`${fromVaultPath}: [[${linkpath}]]`);
+                }
+                return displayText;
+            }
+
+            const url = encodeURI(target.url) + (anchor ? `#${encodeURI(anchor)}` : "");
+            if (embed && !target.isNote) {
+                // ![[image.png|300]] 中的尺寸不作为替代文本
+                const altText = alias && !/^\d+(x\d+)?$/.test(alias) ? alias : name;
+                return `![${escapeLinkText(altText)}](${url})`;
+            }
+            return `[${escapeLinkText(displayText)}](${url})`;
+        });
+    }
+
+    async resolvePublishedUrl(linkpath, fromVaultPath, linkContext, mappingPlan) {
+        const { blog } = linkContext;
+        const file = this.app.metadataCache.getFirstLinkpathDest(linkpath, fromVaultPath);
+        if (!file) return null;
+
+        const location = linkContext.excluded.has(file.path) ? null : this.findPublishedLocation(blog, file.path);
+        if (!location) {
+            const attachment = mappingPlan && mappingPlan.attachments.find(a => a.vaultPath === file.path);
+            if (!attachment) return null;
+
+            const target = (mappingPlan.mapping.target || "").split(path.sep).join("/").replace(/^\/+|\/+$/g, "");
+            const values = { target, path: attachment.file.split(path.sep).join("/"), name: file.basename };
+            return { url: formatLink(blog.attachmentLinkFormat, values), isNote: false, isAttachment: true };
+        }
+
+        const target = (location.mapping.target || "").split(path.sep).join("/").replace(/^\/+|\/+$/g, "");
+        const isNote = file.extension === "md";
+        const pathWithoutExt = location.relativePath.replace(/\.md$/i, "");
+        const values = { target, path: isNote ? pathWithoutExt : location.relativePath, name: file.basename };
+
+        if (isNote) {
+            const slug = await this.readPublishedSlug(path.join(location.sourceAbs, location.relativePath), linkContext);
+            values.slug = slug || pathWithoutExt;
+            return { url: formatLink(blog.noteLinkFormat, values), isNote };
+        }
+        return { url: formatLink(blog.attachmentLinkFormat, values), isNote };
+    }
+
+    // 按映射的同步计划复制、删除文件并清理空文件夹。
+    // 返回实际完成的变更，路径相对于目标文件夹
+    // backupDir 不为空时，被覆盖、删除或重命名的目标文件先备份到该目录，用于撤销推送；
+    // 删除的文件移到 trashDir，没有指定时直接删除。
+    // 复制和删除最多同时处理 FILE_CONCURRENCY 个文件；失败的文件记录在 failed 中，不影响其他文件。
+    // progress 取消后不再开始新的文件操作
+    async syncDirectories(mappingPlan, linkContext, manifest, backupDir = null, trashDir = null, progress = new SyncProgress({ quiet: true })) {
+        const { mapping, sourceAbs: sourceDir, targetAbs: targetDir } = mappingPlan;
+        const changedFiles = [];
+        const result = { changedFiles, added: [], updated: [], deleted: [], renamed: [], titles: [], failed: [] };
+        const fail = (file, action, error) => result.failed.push({ file, action, message: error.message });
+
+        await fs.mkdir(targetDir, { recursive: true });
+
+        // 1. 重命名的文件先移动到新位置，再按新增文件写入内容。
+        // 重命名按顺序进行，避免多个文件在同一目录间移动时互相影响
+        for (const { from, to } of mappingPlan.renames) {
+            if (progress.cancelled) return result;
+            try {
+                await this.backupTargetFile(backupDir, this.toManifestKey(mapping, from), path.join(targetDir, from));
+                await fs.mkdir(path.dirname(path.join(targetDir, to)), { recursive: true });
+                await fs.rename(path.join(targetDir, from), path.join(targetDir, to));
+                delete manifest.files[this.toManifestKey(mapping, from)];
+                changedFiles.push(from);
+                result.renamed.push({ from, to });
+            } catch (error) {
+                console.error(`无法重命名文件 ${from}:`, error);
+                fail(from, "重命名", error);
+            }
+            progress.tick();
+        }
+
+        // 2. 复制新增、更新和重命名的文件
+        const filesToCopy = [...mappingPlan.add, ...mappingPlan.update, ...mappingPlan.renames.map(r => r.to)];
+        const addSet = new Set(mappingPlan.add);
+        const updateSet = new Set(mappingPlan.update);
+        const copied = await mapWithConcurrency(filesToCopy, FILE_CONCURRENCY, async file => {
+            const sourcePath = mappingPlan.copySources[file] || path.join(sourceDir, file);
+            const targetPath = path.join(targetDir, file);
+            const needsTransform = linkContext
+                && (linkContext.blog.convertWikiLinks || mappingPlan.attachments.length > 0)
+                && path.extname(file).toLowerCase() === ".md";
+            try {
+                await fs.mkdir(path.dirname(targetPath), { recursive: true });
+                const data = await fs.readFile(sourcePath);
+                let output = needsTransform
+                    ? await this.transformMarkdown(data.toString("utf8"), sourcePath, linkContext, mappingPlan)
+                    : data;
+                if (mappingPlan.renderHash && path.extname(file).toLowerCase() === ".md") {
+                    const stat = await fs.stat(sourcePath);
+                    const times = { created: fileCreatedTime(stat), modified: stat.mtime };
+                    let text = output.toString("utf8");
+                    if (mappingPlan.profile) {
+                        text = applyOutputProfile(text, mappingPlan.profile, times);
+                    }
+                    if (mappingPlan.frontMatterRules.length > 0) {
+                        const folder = path.relative(sourceDir, path.dirname(sourcePath));
+                        text = applyFrontMatterRules(text, mappingPlan.frontMatterRules, {
+                            ...times,
+                            fileName: path.basename(sourcePath, path.extname(sourcePath)),
+                            folder: folder.startsWith("..") ? "" : folder,
+                        });
+                    }
+                    output = text;
+                }
+                if (updateSet.has(file)) {
+                    await this.backupTargetFile(backupDir, this.toManifestKey(mapping, file), targetPath);
+                }
+                await fs.writeFile(targetPath, output);
+                return {
+                    entry: {
+                        source: this.toVaultPath(sourcePath),
+                        sourceHash: hashContent(data),
+                        targetHash: hashContent(output),
+                        renderHash: mappingPlan.renderHash,
+                        publishedAt: Date.now(),
+                    },
+                    title: path.extname(file).toLowerCase() === ".md" ? this.getNoteTitle(file, data.toString("utf8")) : null,
+                };
+            } catch (error) {
+                console.error(`无法复制文件 ${file}:`, error);
+                return { error };
+            } finally {
+                progress.tick();
+            }
+        }, () => progress.cancelled);
+
+        // 按计划的顺序记录结果，与并发完成的先后无关；取消后没有开始的文件没有结果
+        filesToCopy.forEach((file, index) => {
+            const outcome = copied[index];
+            if (!outcome) return;
+            if (outcome.error) {
+                fail(file, "复制", outcome.error);
+                return;
+            }
+            manifest.files[this.toManifestKey(mapping, file)] = outcome.entry;
+            changedFiles.push(file);
+            if (addSet.has(file)) result.added.push(file);
+            else if (updateSet.has(file)) result.updated.push(file);
+            if (outcome.title !== null) result.titles.push(outcome.title);
+        });
+        if (progress.cancelled) return result;
+
+        // 未变更但清单中还没有记录的文件（例如首次使用清单时）
+        for (const [file, hashes] of Object.entries(mappingPlan.hashes)) {
+            const key = this.toManifestKey(mapping, file);
+            if (!manifest.files[key]) {
+                const sourcePath = mappingPlan.copySources[file] || path.join(sourceDir, file);
+                manifest.files[key] = { source: this.toVaultPath(sourcePath), ...hashes, publishedAt: Date.now() };
+            }
+        }
+
+        // 3. 删除目标文件夹中多余的文件
+        const deleted = await mapWithConcurrency(mappingPlan.delete, FILE_CONCURRENCY, async file => {
+            try {
+                const key = this.toManifestKey(mapping, file);
+                await this.backupTargetFile(backupDir, key, path.join(targetDir, file));
+                if (trashDir) {
+                    await this.moveToTrash(trashDir, key, path.join(targetDir, file));
+                } else {
+                    await fs.unlink(path.join(targetDir, file));
+                }
+                return {};
+            } catch (error) {
+                console.error(`无法删除文件 ${file}:`, error);
+                return { error };
+            } finally {
+                progress.tick();
+            }
+        }, () => progress.cancelled);
+
+        mappingPlan.delete.forEach((file, index) => {
+            const outcome = deleted[index];
+            if (!outcome) return;
+            if (outcome.error) {
+                fail(file, "删除", outcome.error);
+                return;
+            }
+            delete manifest.files[this.toManifestKey(mapping, file)];
+            changedFiles.push(file); // 记录删除也是一个变更
+            result.deleted.push(file);
+        });
+        if (progress.cancelled) return result;
+
+        // 4. 删除清理后留下的空文件夹（从深到浅）
+        const emptyDirs = [...mappingPlan.emptyDirs].sort((a, b) => b.length - a.length);
+        for (const dir of emptyDirs) {
+            try {
+                await fs.rmdir(path.join(targetDir, dir));
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'ENOTEMPTY') {
+                    console.error(`无法处理文件夹 ${dir}:`, error);
+                }
+            }
+        }
+        return result;
+    }
+
+    // 笔记标题：front matter 中的 title，没有时使用文件名
+    getNoteTitle(file, content) {
+        try {
+            const { title } = readFrontMatter(content);
+            if (title) return String(title);
+        } catch {}
+        return path.basename(file, path.extname(file));
+    }
+    
+    async getAllFilesRelative(dirPath, rootDir = dirPath) {
+        let results = [];
+        try {
+            const list = await fs.readdir(dirPath, { withFileTypes: true });
+            for (const dirent of list) {
+                const fullPath = path.join(dirPath, dirent.name);
+                if (dirent.isDirectory()) {
+                    results = results.concat(await this.getAllFilesRelative(fullPath, rootDir));
+                } else {
+                    results.push(path.relative(rootDir, fullPath));
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`无法读取文件夹 ${dirPath}:`, error);
+            }
+        }
+        return results;
+    }
+    
+    // 返回目录下所有子文件夹的相对路径（包含目录自身，记为""）
+    async getAllDirsRelative(dirPath, rootDir = dirPath) {
+        let results = [];
+        try {
+            const list = await fs.readdir(dirPath, { withFileTypes: true });
+            results.push(path.relative(rootDir, dirPath));
+            for (const dirent of list) {
+                if (dirent.isDirectory()) {
+                    results = results.concat(await this.getAllDirsRelative(path.join(dirPath, dirent.name), rootDir));
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`无法读取文件夹 ${dirPath}:`, error);
+            }
+        }
+        return results;
+    }
+
+    // 按博客的发布方式送出变更的文件，返回 { pushed, commitHash, files }，没有需要发布的内容时返回null。
+    // 变更先记入同步清单的 pendingDelivery，成功后清空；发布失败或推送被取消时留下的变更下次推送时一起发布。
+    // 传入 hookContext { runId, hookLog } 时，在发布之前执行提交前钩子
+    async deliverBlog(blog, manifest, changedFiles, message, hookContext = null) {
+        const target = DELIVERY_TARGETS[blog.deliveryType] || DELIVERY_TARGETS.none;
+        const runPreCommitHook = async files => {
+            if (hookContext && files.length > 0) {
+                await this.runBlogHook(blog, "preCommit", { changedFiles: files, runId: hookContext.runId }, hookContext.hookLog);
+            }
+        };
+
+        const pending = Array.from(new Set([...(manifest.pendingDelivery || []), ...changedFiles]));
+        if (!target.deliver) {
+            await runPreCommitHook(pending);
+            if (manifest.pendingDelivery && manifest.pendingDelivery.length > 0) {
+                manifest.pendingDelivery = [];
+                await this.saveSyncManifest(blog, manifest);
+            }
+            return null;
+        }
+
+        if (pending.length === 0) return null;
+        manifest.pendingDelivery = pending;
+        await this.saveSyncManifest(blog, manifest);
+        await runPreCommitHook(pending);
+
+        const context = {
+            plugin: this,
+            blog,
+            options: deliveryOptions(blog, blog.deliveryType),
+            root: blog.blogRepoPath,
+            manifest,
+            message,
+            changedFiles: pending,
+        };
+
+        if (blog.deliveryType === "git") {
+            const delivery = await target.deliver(context);
+            manifest.pendingDelivery = [];
+            await this.saveSyncManifest(blog, manifest);
+            return { ...delivery, files: pending };
+        }
+
+        context.uploads = [];
+        context.deletions = [];
+        for (const key of pending) {
+            const exists = await fs.access(path.join(blog.blogRepoPath, key)).then(() => true, () => false);
+            (exists ? context.uploads : context.deletions).push(key);
+        }
+        await target.deliver(context);
+        console.log(`${target.name}发布成功: ${blog.name}`, `上传 ${context.uploads.length}，删除 ${context.deletions.length}`);
+
+        manifest.pendingDelivery = [];
+        await this.saveSyncManifest(blog, manifest);
+        return { pushed: true, commitHash: null, files: pending };
+    }
+
+    // 在博客文件夹中执行钩子命令，结果记入 hookLog。命令失败或超时时抛出 HookError。
+    // 变更的文件（相对于博客文件夹）每行一个写入 NOTE_DELIVERY_CHANGED_FILES_PATH 指向的文件；
+    // 列表较短时也放进 NOTE_DELIVERY_CHANGED_FILES，文件很多时为空，避免环境变量超出系统限制
+    async runBlogHook(blog, stage, { changedFiles = [], commitHash = "", runId = "" } = {}, hookLog = null) {
+        const command = ((blog.hooks && blog.hooks[stage]) || "").trim();
+        if (!command) return;
+
+        const changedListPath = path.join(this.dataPath, "hooks", `${blog.id}-${stage}.txt`);
+        await fs.mkdir(path.dirname(changedListPath), { recursive: true });
+        await fs.writeFile(changedListPath, changedFiles.map(file => `${file}\n`).join(""), "utf8");
+
+        const changedList = changedFiles.join("\n");
+        const timeout = (Number(blog.hookTimeout) || BLOG_OPTION_DEFAULTS.hookTimeout) * 1000;
+        const result = await runHook(command, {
+            cwd: blog.blogRepoPath,
+            timeout,
+            env: {
+                NOTE_DELIVERY_STAGE: stage,
+                NOTE_DELIVERY_BLOG: blog.name,
+                NOTE_DELIVERY_BLOG_PATH: blog.blogRepoPath,
+                NOTE_DELIVERY_TYPE: blog.deliveryType,
+                NOTE_DELIVERY_RUN_ID: runId,
+                NOTE_DELIVERY_COMMIT: commitHash || "",
+                NOTE_DELIVERY_CHANGED_COUNT: String(changedFiles.length),
+                NOTE_DELIVERY_CHANGED_FILES: changedList.length <= MAX_HOOK_CHANGED_FILES_ENV ? changedList : "",
+                NOTE_DELIVERY_CHANGED_FILES_PATH: changedListPath,
+            },
+        });
+        console.log(`博客 ${blog.name} 的${HOOK_STAGES[stage].name}钩子（退出码 ${result.code}，${result.duration}ms）: ${command}\n${result.output}`);
+        if (hookLog) hookLog.push({ stage, command, ...result });
+
+        if (result.code !== 0) {
+            const lastLine = result.output.split("\n").filter(line => line.trim()).pop() || "";
+            const reason = result.timedOut ? `超过 ${timeout / 1000} 秒未结束` : `退出码 ${result.code}`;
+            throw new HookError(stage, lastLine ? `${reason}：${lastLine.slice(0, 200)}` : reason);
+        }
+    }
+
+    // 仓库中不属于任何路径映射目标文件夹的未提交修改
+    async getUnrelatedChanges(blog) {
+        const cwd = blog.blogRepoPath;
+        await runGit(cwd, ["rev-parse", "--is-inside-work-tree"]);
+
+        // porcelain 输出的路径相对于仓库根目录，博客路径可能是仓库的子目录
+        const prefix = (await runGit(cwd, ["rev-parse", "--show-prefix"])).stdout.trim();
+        const { stdout } = await runGit(cwd, ["status", "--porcelain", "-z", "--no-renames", "--untracked-files=all"]);
+        const targets = blog.pathMappings.map(mapping => this.toManifestKey(mapping, "").replace(/\/+$/, ""));
+
+        return splitNul(stdout)
+            .map(entry => entry.slice(3))
+            .filter(file => {
+                if (!file.startsWith(prefix)) return true;
+                const relative = file.slice(prefix.length);
+                return !targets.some(target => !target || relative === target || relative.startsWith(`${target}/`));
+            });
+    }
+
+    // 只暂存并提交本次同步改动的文件（包括删除），然后推送。
+    // 返回 { committed, commitHash, pushed }
+    async autoPushToBlog(blog, message = "自动提交", changedFiles = []) {
+        const cwd = blog.blogRepoPath;
+        const branch = blog.gitPushBranch || "main";
+        const paths = Array.from(new Set(changedFiles));
+
+        await runGit(cwd, ["rev-parse", "--is-inside-work-tree"]);
+
+        const existing = [];
+        const missing = [];
+        for (const file of paths) {
+            try {
+                await fs.access(path.join(cwd, file));
+                existing.push(file);
+            } catch {
+                missing.push(file);
+            }
+        }
+        if (existing.length > 0) {
+            await runGitWithPaths(cwd, ["add", "-A"], existing);
+        }
+        if (missing.length > 0) {
+            await runGitWithPaths(cwd, ["rm", "--cached", "-r", "-q", "--ignore-unmatch"], missing);
+        }
+
+        // 只提交本次文件中确实有变化的部分，暂存区里其他文件保持不动；
+        // 没有变化时跳过提交，仍然推送之前未推送的提交
+        const { stdout: staged } = await runGit(cwd, ["diff", "--cached", "--name-only", "-z", "--no-renames", "--relative"]);
+        const pathSet = new Set(paths);
+        const toCommit = splitNul(staged).filter(file => pathSet.has(file));
+
+        let commitHash = null;
+        if (toCommit.length > 0) {
+            await runGitWithPaths(cwd, ["commit", "-m", message, "--only"], toCommit);
+            commitHash = (await runGit(cwd, ["rev-parse", "HEAD"])).stdout.trim();
+        }
+
+        if (blog.gitPullRebase) {
+            try {
+                await runGit(cwd, ["pull", "--rebase", "--autostash", "origin", branch]);
+            } catch (error) {
+                if (error.kind === "conflict") {
+                    await runGit(cwd, ["rebase", "--abort"]).catch(() => {});
+                }
+                throw error;
+            }
+            if (commitHash) {
+                commitHash = (await runGit(cwd, ["rev-parse", "HEAD"])).stdout.trim();
+            }
+        }
+
+        await runGit(cwd, ["push", "origin", branch]);
+        console.log(`Git推送成功: ${blog.name}`, commitHash || "无新提交");
+        return { committed: Boolean(commitHash), commitHash, pushed: true };
+    }
+};
+
+class MultiBlogSettingTab extends PluginSettingTab {
+    constructor(app, plugin) {
+        super(app, plugin);
+        this.plugin = plugin;
+        this.expandedBlogs = new Set();
+        this.expandedRuleLists = new Set();
+    }
+
+    display() {
+        const { containerEl } = this;
+        containerEl.empty();
+
+        containerEl.createEl("h2", { text: "多博客发布设置" });
+
+        new Setting(containerEl)
+            .setName("自动添加slug")
+            .setDesc("全局开关：自动为文章生成唯一短链接")
+            .addToggle((toggle) => {
+                toggle.setValue(this.plugin.settings.autoSlug).onChange(async (value) => {
+                    this.plugin.settings.autoSlug = value;
+                    await this.plugin.saveSettings();
+                    this.display(); // Refresh settings to show/hide slug options
+                });
+            });
+
+        if (this.plugin.settings.autoSlug) {
+            new Setting(containerEl)
+                .setName("Slug 生成方式")
+                .setDesc("选择为文章生成slug的方式")
+                .addDropdown(dropdown => {
+                    dropdown
+                        .addOption('random', '随机')
+                        .addOption('sequential', '顺序')
+                        .addOption('title', '标题（拼音）')
+                        .setValue(this.plugin.settings.slugGenerationMethod)
+                        .onChange(async (value) => {
+                            this.plugin.settings.slugGenerationMethod = value;
+                            await this.plugin.saveSettings();
+                            this.display();
+                        });
+                });
+
+            if (this.plugin.settings.slugGenerationMethod === 'sequential') {
                 new Setting(containerEl)
                     .setName("顺序Slug起始值")
                     .setDesc("设置顺序生成slug的起始数字")
                     .addText(text => {
                         text
-                            .setPlaceholder("例如: 1")
-                            .setValue(String(this.plugin.settings.sequentialSlugStart))
+                            .setPlaceholder("例如: 1")
+                            .setValue(String(this.plugin.settings.sequentialSlugStart))
+                            .onChange(async (value) => {
+                                const num = parseInt(value, 10);
+                                if (!isNaN(num)) {
+                                    this.plugin.settings.sequentialSlugStart = num;
+                                    await this.plugin.saveSettings();
+                                }
+                            });
+                    });
+            }
+
+            if (this.plugin.settings.slugGenerationMethod === 'title') {
+                new Setting(containerEl)
+                    .setName("分隔符")
+                    .setDesc("单词与拼音音节之间的分隔符")
+                    .addText(text => {
+                        text
+                            .setPlaceholder("-")
+                            .setValue(this.plugin.settings.titleSlugSeparator)
+                            .onChange(async (value) => {
+                                // 只允许URL安全的字符
+                                this.plugin.settings.titleSlugSeparator = value.replace(/[^A-Za-z0-9\-_.~]/g, "");
+                                await this.plugin.saveSettings();
+                            });
+                    });
+
+                new Setting(containerEl)
+                    .setName("最大长度")
+                    .setDesc("超出时在单词边界截断，0表示不限制")
+                    .addText(text => {
+                        text
+                            .setPlaceholder("例如: 60")
+                            .setValue(String(this.plugin.settings.titleSlugMaxLength))
+                            .onChange(async (value) => {
+                                const num = parseInt(value, 10);
+                                if (!isNaN(num) && num >= 0) {
+                                    this.plugin.settings.titleSlugMaxLength = num;
+                                    await this.plugin.saveSettings();
+                                }
+                            });
+                    });
+
+                new Setting(containerEl)
+                    .setName("转换为小写")
+                    .addToggle(toggle => {
+                        toggle.setValue(this.plugin.settings.titleSlugLowercase).onChange(async (value) => {
+                            this.plugin.settings.titleSlugLowercase = value;
+                            await this.plugin.saveSettings();
+                        });
+                    });
+            }
+        }
+
+        containerEl.createEl("h3", { text: "删除保护" });
+
+        new Setting(containerEl)
+            .setName("删除比例上限（%）")
+            .setDesc("严格同步一次要删除目标文件夹中超过该比例的文件时拒绝执行，防止源文件夹写错时清空博客。0 表示不限制")
+            .addText(text => {
+                text
+                    .setPlaceholder("例如: 50")
+                    .setValue(String(this.plugin.settings.maxDeletePercent))
+                    .onChange(async (value) => {
+                        const num = parseInt(value, 10);
+                        if (!isNaN(num) && num >= 0 && num <= 100) {
+                            this.plugin.settings.maxDeletePercent = num;
+                            await this.plugin.saveSettings();
+                        }
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName("回收站保留天数")
+            .setDesc("同步时删除的文件会移到插件目录的 trash 文件夹中，超过天数后清理。0 表示一直保留")
+            .addText(text => {
+                text
+                    .setPlaceholder("例如: 30")
+                    .setValue(String(this.plugin.settings.trashRetentionDays))
+                    .onChange(async (value) => {
+                        const num = parseInt(value, 10);
+                        if (!isNaN(num) && num >= 0) {
+                            this.plugin.settings.trashRetentionDays = num;
+                            await this.plugin.saveSettings();
+                        }
+                    });
+            });
+
+        this.displayOutputProfileSettings(containerEl);
+
+        containerEl.createEl("h3", { text: "博客配置" });
+
+        new Setting(containerEl)
+            .setName("导入/导出博客配置")
+            .setDesc("以YAML或JSON分享博客和路径映射配置，导出时不包含密码和密钥")
+            .addButton(button => {
+                button.setButtonText("导出").onClick(() => {
+                    new BlogConfigModal(this.app, this.plugin, "export").open();
+                });
+            })
+            .addButton(button => {
+                button.setButtonText("导入").onClick(() => {
+                    new BlogConfigModal(this.app, this.plugin, "import", () => this.display()).open();
+                });
+            });
+
+        new Setting(containerEl).setName("添加新博客").addButton((button) => {
+            button
+                .setButtonText("+ 添加博客")
+                .setCta()
+                .onClick(async () => {
+                    this.plugin.settings.blogs.push({
+                        id: createId(),
+                        name: `博客${this.plugin.settings.blogs.length + 1}`,
+                        blogRepoPath: "",
+                        deliveryType: "none",
+                        gitPushBranch: "main",
+                        ...structuredClone(BLOG_OPTION_DEFAULTS),
+                        convertWikiLinks: true,
+                        pathMappings: [{ source: "", target: "", enableFolderMatching: false, ...defaultMappingOptions() }],
+                    });
+                    await this.plugin.saveSettings();
+                    this.display();
+                });
+        });
+
+        this.problemEls = new Map();
+        this.plugin.settings.blogs.forEach((blog, blogIndex) => {
+            const blogDiv = containerEl.createEl("div", { cls: "blog-config" });
+            blogDiv.createEl("h4", { text: blog.name });
+            this.problemEls.set(blog.id, blogDiv.createDiv({ cls: "blog-config-problems" }));
+
+            // --- 可见设置 ---
+            new Setting(blogDiv)
+                .setName("发布方式")
+                .setDesc("同步到博客文件夹后，推送到Git仓库、上传到服务器或存储桶，或者打包为归档文件")
+                .addDropdown(dropdown => {
+                    for (const [type, target] of Object.entries(DELIVERY_TARGETS)) {
+                        dropdown.addOption(type, target.name);
+                    }
+                    dropdown.setValue(blog.deliveryType).onChange(async (value) => {
+                        this.plugin.settings.blogs[blogIndex].deliveryType = value;
+                        await this.plugin.saveSettings();
+                        this.display(); // 刷新以显示/隐藏对应的设置
+                    });
+                });
+
+            if (blog.pathMappings) {
+                blog.pathMappings.forEach((mapping, mappingIndex) => {
+                    const mappingDisplayDiv = blogDiv.createEl("div", { cls: "path-mapping-display" });
+                    new Setting(mappingDisplayDiv)
+                        .setName(`路径映射: ${mapping.source || "未设置"} → ${mapping.target || "根目录"}`)
+                        .setDesc("删除目标文件夹中源文件夹不存在的文件")
+                        .addToggle(toggle => {
+                            toggle.setValue(mapping.enableFolderMatching).onChange(async (value) => {
+                                this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].enableFolderMatching = value;
+                                await this.plugin.saveSettings();
+                            });
+                        });
+                });
+            }
+
+            // --- 可折叠的详细设置 ---
+            // 重新渲染后保持展开状态
+            const details = blogDiv.createEl("details");
+            details.open = this.expandedBlogs.has(blogIndex);
+            details.addEventListener("toggle", () => {
+                if (details.open) this.expandedBlogs.add(blogIndex);
+                else this.expandedBlogs.delete(blogIndex);
+            });
+            details.createEl("summary", { text: "编辑路径与高级选项" });
+            const advancedSettingsDiv = details.createDiv();
+
+            new Setting(advancedSettingsDiv)
+                .setName("博客名称")
+                .addText((text) => {
+                    text.setValue(blog.name).onChange(async (value) => {
+                        this.plugin.settings.blogs[blogIndex].name = value;
+                        await this.plugin.saveSettings();
+                        // 移除 this.display()，避免输入时折叠
+                    });
+                });
+
+            new Setting(advancedSettingsDiv)
+                .setName("博客仓库路径")
+                .setDesc("博客本地文件夹的绝对路径，使用Git推送时为Git仓库，例如: F:\\Blog\\target")
+                .addText((text) => {
+                    text
+                        .setPlaceholder("F:\\Blog\\target")
+                        .setValue(blog.blogRepoPath)
+                        .onChange(async (value) => {
+                            this.plugin.settings.blogs[blogIndex].blogRepoPath = value;
+                            await this.plugin.saveSettings();
+                        });
+                });
+
+            this.displayDeliverySettings(advancedSettingsDiv, blog, blogIndex);
+
+            if (blog.deliveryType === "git") {
+                new Setting(advancedSettingsDiv).setName("Git推送分支").addText((text) => {
+                    text
+                        .setPlaceholder("例如: main")
+                        .setValue(blog.gitPushBranch)
+                        .onChange(async (value) => {
+                            this.plugin.settings.blogs[blogIndex].gitPushBranch = value;
+                            await this.plugin.saveSettings();
+                        });
+                });
+
+                new Setting(advancedSettingsDiv)
+                    .setName("要求仓库干净")
+                    .setDesc("只提交本插件同步的文件；开启后，若路径映射目标文件夹以外还有未提交的修改，则拒绝发布")
+                    .addToggle((toggle) => {
+                        toggle.setValue(blog.gitRequireClean).onChange(async (value) => {
+                            this.plugin.settings.blogs[blogIndex].gitRequireClean = value;
+                            await this.plugin.saveSettings();
+                        });
+                    });
+
+                new Setting(advancedSettingsDiv)
+                    .setName("推送前拉取")
+                    .setDesc("推送前执行 git pull --rebase，远程有新提交时自动变基；出现冲突会取消变基并提示")
+                    .addToggle((toggle) => {
+                        toggle.setValue(blog.gitPullRebase).onChange(async (value) => {
+                            this.plugin.settings.blogs[blogIndex].gitPullRebase = value;
+                            await this.plugin.saveSettings();
+                        });
+                    });
+
+                this.displayCommitMessageSettings(advancedSettingsDiv, blog, blogIndex);
+            }
+
+            this.displayHookSettings(advancedSettingsDiv, blog, blogIndex);
+            this.displayAutoPublishSettings(advancedSettingsDiv, blog, blogIndex);
+
+            new Setting(advancedSettingsDiv)
+                .setName("输出配置")
+                .setDesc("按静态网站生成器的约定调整发布后的front matter、文件名和目录结构，只修改发布的副本")
+                .addDropdown(dropdown => {
+                    dropdown.addOption("", "不转换");
+                    this.addOutputProfileOptions(dropdown);
+                    dropdown.setValue(blog.outputProfile).onChange(async (value) => {
+                        this.plugin.settings.blogs[blogIndex].outputProfile = value;
+                        await this.plugin.saveSettings();
+                    });
+                });
+
+            new Setting(advancedSettingsDiv)
+                .setName("转换双链")
+                .setDesc("将 [[笔记]]、![[图片]] 等Obsidian语法转换为标准Markdown链接")
+                .addToggle((toggle) => {
+                    toggle.setValue(blog.convertWikiLinks).onChange(async (value) => {
+                        this.plugin.settings.blogs[blogIndex].convertWikiLinks = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+                });
+
+            if (blog.convertWikiLinks) {
+                new Setting(advancedSettingsDiv)
+                    .setName("笔记链接格式")
+                    .setDesc("可用占位符：{target} 目标文件夹、{slug}（没有slug时为文件路径）、{path} 文件路径、{name} 文件名")
+                    .addText((text) => {
+                        text
+                            .setPlaceholder("/{target}/{slug}")
+                            .setValue(blog.noteLinkFormat)
                             .onChange(async (value) => {
-                                const num = parseInt(value, 10);
-                                if (!isNaN(num)) {
-                                    this.plugin.settings.sequentialSlugStart = num;
+                                this.plugin.settings.blogs[blogIndex].noteLinkFormat = value || BLOG_OPTION_DEFAULTS.noteLinkFormat;
+                                await this.plugin.saveSettings();
+                            });
+                    });
+
+                new Setting(advancedSettingsDiv)
+                    .setName("附件链接格式")
+                    .setDesc("可用占位符：{target}、{path}（含扩展名）、{name}")
+                    .addText((text) => {
+                        text
+                            .setPlaceholder("/{target}/{path}")
+                            .setValue(blog.attachmentLinkFormat)
+                            .onChange(async (value) => {
+                                this.plugin.settings.blogs[blogIndex].attachmentLinkFormat = value || BLOG_OPTION_DEFAULTS.attachmentLinkFormat;
+                                await this.plugin.saveSettings();
+                            });
+                    });
+
+                new Setting(advancedSettingsDiv)
+                    .setName("未发布笔记的链接")
+                    .setDesc("链接指向的笔记不在任何路径映射中时的处理方式")
+                    .addDropdown(dropdown => {
+                        dropdown
+                            .addOption('text', '转为纯文本')
+                            .addOption('warn', '转为纯文本并提示')
+                            .setValue(blog.unpublishedLinkAction)
+                            .onChange(async (value) => {
+                                this.plugin.settings.blogs[blogIndex].unpublishedLinkAction = value;
+                                await this.plugin.saveSettings();
+                            });
+                    });
+            }
+
+            const mappingsDiv = advancedSettingsDiv.createEl("div", { cls: "path-mappings" });
+            mappingsDiv.createEl("strong", { text: "路径映射配置" });
+
+            if (blog.pathMappings) {
+                blog.pathMappings.forEach((mapping, mappingIndex) => {
+                    const mappingEditDiv = mappingsDiv.createEl("div", { cls: "path-mapping-item" });
+
+                    new Setting(mappingEditDiv)
+                        .setName("源文件夹")
+                        .setDesc("相对于Obsidian仓库根目录的路径")
+                        .addText(text => {
+                            text.setValue(mapping.source).onChange(async (value) => {
+                                this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].source = value;
+                                await this.plugin.saveSettings();
+                                // 移除 this.display()，避免输入时折叠
+                            });
+                        });
+
+                    new Setting(mappingEditDiv)
+                        .setName("目标文件夹")
+                        .setDesc("相对于博客仓库路径的路径（可留空）")
+                        .addText(text => {
+                            text.setValue(mapping.target).onChange(async (value) => {
+                                this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].target = value;
+                                await this.plugin.saveSettings();
+                                // 移除 this.display()，避免输入时折叠
+                            });
+                        });
+                    
+                    new Setting(mappingEditDiv)
+                        .setName("包含引用的附件")
+                        .setDesc("收集笔记中引用、但不在源文件夹内的图片等附件，复制到附件文件夹并改写链接")
+                        .addToggle(toggle => {
+                            toggle.setValue(mapping.includeAttachments).onChange(async (value) => {
+                                this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].includeAttachments = value;
+                                await this.plugin.saveSettings();
+                                this.display();
+                            });
+                        });
+
+                    if (mapping.includeAttachments) {
+                        new Setting(mappingEditDiv)
+                            .setName("附件文件夹")
+                            .setDesc("相对于目标文件夹的路径")
+                            .addText(text => {
+                                text
+                                    .setPlaceholder("assets")
+                                    .setValue(mapping.attachmentsFolder)
+                                    .onChange(async (value) => {
+                                        this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].attachmentsFolder = value;
+                                        await this.plugin.saveSettings();
+                                    });
+                            });
+                    }
+
+                    new Setting(mappingEditDiv)
+                        .setName("输出配置")
+                        .setDesc("此映射单独使用的输出配置")
+                        .addDropdown(dropdown => {
+                            dropdown.addOption("", "跟随博客设置").addOption("none", "不转换");
+                            this.addOutputProfileOptions(dropdown);
+                            dropdown.setValue(mapping.outputProfile).onChange(async (value) => {
+                                this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].outputProfile = value;
+                                await this.plugin.saveSettings();
+                            });
+                        });
+
+                    this.displayFrontMatterRules(mappingEditDiv, blogIndex, mappingIndex);
+
+                    if (this.plugin.settings.autoSlug) {
+                        const slugSettings = [
+                            ["slugIncludePatterns", "添加slug的路径", "只为匹配的笔记添加slug，相对于源文件夹，留空表示全部", "posts/**"],
+                            ["slugExcludePatterns", "不添加slug的路径", "这些笔记不添加slug", "drafts/**"],
+                        ];
+                        for (const [key, name, desc, placeholder] of slugSettings) {
+                            new Setting(mappingEditDiv)
+                                .setName(name)
+                                .setDesc(desc)
+                                .addText(text => {
+                                    text
+                                        .setPlaceholder(placeholder)
+                                        .setValue((mapping[key] || []).join(", "))
+                                        .onChange(async (value) => {
+                                            this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex][key] = value
+                                                .split(",")
+                                                .map(item => item.trim())
+                                                .filter(Boolean);
+                                            await this.plugin.saveSettings();
+                                        });
+                                });
+                        }
+                    }
+
+                    const filterDetails = mappingEditDiv.createEl("details");
+                    filterDetails.createEl("summary", { text: "发布筛选" });
+
+                    new Setting(filterDetails)
+                        .setName("发布标记字段")
+                        .setDesc("只发布该front matter字段为 true 的笔记，例如 publish；留空表示不要求")
+                        .addText(text => {
+                            text
+                                .setPlaceholder("publish")
+                                .setValue(mapping.publishFlag)
+                                .onChange(async (value) => {
+                                    this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].publishFlag = value.trim();
                                     await this.plugin.saveSettings();
-                                }
+                                });
+                        });
+
+                    new Setting(filterDetails)
+                        .setName("排除草稿")
+                        .setDesc("不发布 draft: true 的笔记")
+                        .addToggle(toggle => {
+                            toggle.setValue(mapping.excludeDrafts).onChange(async (value) => {
+                                this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].excludeDrafts = value;
+                                await this.plugin.saveSettings();
+                            });
+                        });
+
+                    const listSettings = [
+                        ["includeTags", "包含标签", "只发布带有这些标签的笔记，多个用逗号分隔", "blog, tech"],
+                        ["excludeTags", "排除标签", "不发布带有这些标签的笔记", "private"],
+                        ["includePatterns", "包含路径", "只发布匹配的文件，相对于源文件夹，支持 * 和 **", "**/*.md"],
+                        ["excludePatterns", "排除路径", "不发布匹配的文件", "drafts/**"],
+                    ];
+                    for (const [key, name, desc, placeholder] of listSettings) {
+                        new Setting(filterDetails)
+                            .setName(name)
+                            .setDesc(desc)
+                            .addText(text => {
+                                text
+                                    .setPlaceholder(placeholder)
+                                    .setValue((mapping[key] || []).join(", "))
+                                    .onChange(async (value) => {
+                                        this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex][key] = value
+                                            .split(",")
+                                            .map(item => item.trim())
+                                            .filter(Boolean);
+                                        await this.plugin.saveSettings();
+                                    });
                             });
+                    }
+
+                    new Setting(mappingEditDiv).addButton(button => {
+                        button.setButtonText("删除此映射").onClick(async () => {
+                            this.plugin.settings.blogs[blogIndex].pathMappings.splice(mappingIndex, 1);
+                            await this.plugin.saveSettings();
+                            this.display();
+                        });
+                    });
+                });
+            }
+
+            new Setting(advancedSettingsDiv).addButton(button => {
+                button.setButtonText("+ 添加路径映射").setCta().onClick(async () => {
+                    if (!this.plugin.settings.blogs[blogIndex].pathMappings) {
+                        this.plugin.settings.blogs[blogIndex].pathMappings = [];
+                    }
+                    this.plugin.settings.blogs[blogIndex].pathMappings.push({
+                        source: "",
+                        target: "",
+                        enableFolderMatching: false,
+                        ...defaultMappingOptions(),
+                    });
+                    await this.plugin.saveSettings();
+                    this.display();
+                });
+            });
+
+            new Setting(advancedSettingsDiv).addButton(button => {
+                button.setButtonText("删除此博客").onClick(async () => {
+                    this.plugin.settings.blogs.splice(blogIndex, 1);
+                    await this.plugin.saveSettings();
+                    this.display();
+                });
+            });
+        });
+
+        this.renderConfigProblems();
+    }
+
+    // 路径映射的front matter规则，每条规则一行
+    displayFrontMatterRules(containerEl, blogIndex, mappingIndex) {
+        const mapping = this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex];
+        const rules = mapping.frontMatterRules;
+        const key = `${blogIndex}-${mappingIndex}`;
+
+        const details = containerEl.createEl("details");
+        details.createEl("summary", { text: `Front matter 规则（${rules.length}）` });
+        details.open = this.expandedRuleLists.has(key);
+        details.addEventListener("toggle", () => {
+            if (details.open) this.expandedRuleLists.add(key);
+            else this.expandedRuleLists.delete(key);
+        });
+        details.createEl("p", {
+            text: "按顺序修改发布副本的front matter，库中的笔记不变。设置的值按YAML解析，例如 true、[a, b]",
+            cls: "setting-item-description",
+        });
+
+        rules.forEach((rule, ruleIndex) => {
+            const setting = new Setting(details)
+                .addDropdown(dropdown => {
+                    for (const [action, label] of Object.entries(FRONT_MATTER_RULE_ACTIONS)) {
+                        dropdown.addOption(action, label);
+                    }
+                    dropdown.setValue(rule.action).onChange(async (value) => {
+                        rules[ruleIndex].action = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+                })
+                .addText(text => {
+                    text.setPlaceholder("字段").setValue(rule.field || "").onChange(async (value) => {
+                        rules[ruleIndex].field = value.trim();
+                        await this.plugin.saveSettings();
+                    });
+                });
+
+            if (rule.action === "set") {
+                setting.addText(text => {
+                    text.setPlaceholder("值").setValue(rule.value || "").onChange(async (value) => {
+                        rules[ruleIndex].value = value;
+                        await this.plugin.saveSettings();
+                    });
+                });
+            } else if (rule.action === "rename") {
+                setting.addText(text => {
+                    text.setPlaceholder("新字段名").setValue(rule.to || "").onChange(async (value) => {
+                        rules[ruleIndex].to = value.trim();
+                        await this.plugin.saveSettings();
+                    });
+                });
+            } else if (rule.action === "compute") {
+                setting.addDropdown(dropdown => {
+                    for (const [source, label] of Object.entries(COMPUTED_FIELD_SOURCES)) {
+                        dropdown.addOption(source, label);
+                    }
+                    dropdown.setValue(rule.source || "modified").onChange(async (value) => {
+                        rules[ruleIndex].source = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+                });
+                if (rule.source === "modified" || rule.source === "created" || !rule.source) {
+                    setting.addText(text => {
+                        text.setPlaceholder("YYYY-MM-DDTHH:mm:ssZ").setValue(rule.format || "").onChange(async (value) => {
+                            rules[ruleIndex].format = value.trim();
+                            await this.plugin.saveSettings();
+                        });
+                    });
+                }
+            }
+
+            if (rule.action === "set" || rule.action === "compute") {
+                setting.addToggle(toggle => {
+                    toggle.setTooltip("覆盖已有的值").setValue(Boolean(rule.overwrite)).onChange(async (value) => {
+                        rules[ruleIndex].overwrite = value;
+                        await this.plugin.saveSettings();
+                    });
+                });
+            }
+
+            setting.addExtraButton(button => {
+                button.setIcon("trash").setTooltip("删除规则").onClick(async () => {
+                    rules.splice(ruleIndex, 1);
+                    await this.plugin.saveSettings();
+                    this.display();
+                });
+            });
+        });
+
+        new Setting(details).addButton(button => {
+            button.setButtonText("+ 添加规则").onClick(async () => {
+                rules.push({ action: "compute", field: "", source: "modified", overwrite: false });
+                await this.plugin.saveSettings();
+                this.expandedRuleLists.add(key);
+                this.display();
+            });
+        });
+    }
+
+    // 在每个博客名称下显示配置检查发现的问题。只更新问题区域，不打断正在进行的输入
+    renderConfigProblems() {
+        for (const [blogId, problemsEl] of this.problemEls || []) {
+            problemsEl.empty();
+            for (const { level, message } of this.plugin.configProblems.get(blogId) || []) {
+                problemsEl.createEl("p", { text: `${level === "error" ? "✗" : "⚠"} ${message}`, cls: `blog-config-${level}` });
+            }
+        }
+    }
+
+    addOutputProfileOptions(dropdown) {
+        for (const [id, profile] of Object.entries(BUILTIN_OUTPUT_PROFILES)) {
+            dropdown.addOption(id, profile.name);
+        }
+        for (const profile of this.plugin.settings.outputProfiles) {
+            dropdown.addOption(profile.id, `${profile.name}（自定义）`);
+        }
+    }
+
+    // 自定义输出配置：以YAML编辑除名称以外的字段
+    displayOutputProfileSettings(containerEl) {
+        containerEl.createEl("h3", { text: "自定义输出配置" });
+
+        const profiles = this.plugin.settings.outputProfiles;
+        profiles.forEach((profile, index) => {
+            const { id, name, ...fields } = profile;
+            const profileDiv = containerEl.createDiv({ cls: "output-profile" });
+
+            new Setting(profileDiv)
+                .setName("名称")
+                .addText(text => {
+                    text.setValue(name).onChange(async (value) => {
+                        profiles[index].name = value;
+                        await this.plugin.saveSettings();
+                    });
+                })
+                .addButton(button => {
+                    button.setButtonText("删除").onClick(async () => {
+                        profiles.splice(index, 1);
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+                });
+
+            const fieldsSetting = new Setting(profileDiv)
+                .setName("配置")
+                .setDesc("字段：fieldMap、removeFields、dateFields、dateFormat、tagsFormat、draftField、draftInvert、fileName、stripObsidianSyntax");
+            fieldsSetting.addTextArea(textArea => {
+                textArea.inputEl.rows = 12;
+                textArea.setValue(YAML.stringify(fields, YAML_STRINGIFY_OPTIONS)).onChange(async (value) => {
+                    let parsed;
+                    try {
+                        parsed = YAML.parse(value);
+                        if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+                            throw new Error("必须是键值对格式");
+                        }
+                    } catch (error) {
+                        fieldsSetting.descEl.setText(`⚠ ${error.message.split("\n")[0]}`);
+                        return;
+                    }
+                    fieldsSetting.descEl.setText("已保存");
+                    profiles[index] = { ...parsed, id, name: profiles[index].name };
+                    await this.plugin.saveSettings();
+                });
+            });
+        });
+
+        new Setting(containerEl)
+            .setName("添加自定义输出配置")
+            .setDesc("以内置配置为模板创建")
+            .addDropdown(dropdown => {
+                for (const [id, profile] of Object.entries(BUILTIN_OUTPUT_PROFILES)) {
+                    dropdown.addOption(id, profile.name);
+                }
+                this.newProfileBase = this.newProfileBase || "hugo";
+                dropdown.setValue(this.newProfileBase).onChange(value => {
+                    this.newProfileBase = value;
+                });
+            })
+            .addButton(button => {
+                button.setButtonText("+ 添加").onClick(async () => {
+                    const base = structuredClone(BUILTIN_OUTPUT_PROFILES[this.newProfileBase || "hugo"]);
+                    profiles.push({ ...base, id: createId(), name: `${base.name} 自定义` });
+                    await this.plugin.saveSettings();
+                    this.display();
+                });
+            });
+    }
+
+    // 除Git以外的发布方式的设置项，由 DELIVERY_TARGETS 中的 fields 生成
+    displayDeliverySettings(containerEl, blog, blogIndex) {
+        const type = blog.deliveryType;
+        const target = DELIVERY_TARGETS[type];
+        if (!target || target.fields.length === 0) return;
+
+        const options = deliveryOptions(blog, type);
+        const save = async (key, value) => {
+            const settingsBlog = this.plugin.settings.blogs[blogIndex];
+            settingsBlog.delivery = settingsBlog.delivery || {};
+            settingsBlog.delivery[type] = { ...deliveryOptions(settingsBlog, type), [key]: value };
+            await this.plugin.saveSettings();
+        };
+
+        for (const [key, name, desc, , kind] of target.fields) {
+            const setting = new Setting(containerEl).setName(`${target.name}：${name}`).setDesc(desc);
+            if (kind === "toggle") {
+                setting.addToggle(toggle => {
+                    toggle.setValue(Boolean(options[key])).onChange(value => save(key, value));
+                });
+            } else if (typeof kind === "object") {
+                setting.addDropdown(dropdown => {
+                    for (const [value, label] of Object.entries(kind)) dropdown.addOption(value, label);
+                    dropdown.setValue(String(options[key])).onChange(value => save(key, value));
+                });
+            } else {
+                setting.addText(text => {
+                    if (kind === "password") text.inputEl.type = "password";
+                    text.setValue(String(options[key])).onChange(value => save(key, value.trim()));
+                });
+            }
+        }
+    }
+
+    displayHookSettings(containerEl, blog, blogIndex) {
+        for (const [stage, { name, desc }] of Object.entries(HOOK_STAGES)) {
+            new Setting(containerEl)
+                .setName(`${name}钩子`)
+                .setDesc(`${desc}。在博客文件夹中执行，留空则不执行`)
+                .addText(text => {
+                    text.setPlaceholder("命令").setValue(blog.hooks[stage] || "").onChange(async (value) => {
+                        const settingsBlog = this.plugin.settings.blogs[blogIndex];
+                        settingsBlog.hooks = { ...settingsBlog.hooks, [stage]: value.trim() };
+                        await this.plugin.saveSettings();
+                    });
+                });
+        }
+
+        new Setting(containerEl)
+            .setName("钩子超时（秒）")
+            .setDesc("钩子命令超过该时间未结束时终止并视为失败。钩子可读取环境变量 NOTE_DELIVERY_BLOG、NOTE_DELIVERY_STAGE、NOTE_DELIVERY_CHANGED_FILES（变更的文件，每行一个，文件很多时为空）、NOTE_DELIVERY_CHANGED_FILES_PATH（完整变更文件列表的路径）等")
+            .addText(text => {
+                text.setValue(String(blog.hookTimeout)).onChange(async (value) => {
+                    const num = parseInt(value, 10);
+                    if (!isNaN(num) && num > 0) {
+                        this.plugin.settings.blogs[blogIndex].hookTimeout = num;
+                        await this.plugin.saveSettings();
+                    }
+                });
+            });
+    }
+
+    displayAutoPublishSettings(containerEl, blog, blogIndex) {
+        new Setting(containerEl)
+            .setName("自动推送")
+            .setDesc("定时或在源文件夹中的文件变化后自动推送此博客；连续失败多次后会暂停，点击状态栏恢复")
+            .addToggle((toggle) => {
+                toggle.setValue(blog.autoPublish).onChange(async (value) => {
+                    this.plugin.settings.blogs[blogIndex].autoPublish = value;
+                    this.plugin.getAutoPublishState(blog.id).paused = false;
+                    this.plugin.getAutoPublishState(blog.id).failures = 0;
+                    await this.plugin.saveSettings();
+                    this.display();
+                });
+            });
+
+        if (!blog.autoPublish) return;
+
+        new Setting(containerEl)
+            .setName("定时推送间隔（分钟）")
+            .setDesc("0 表示不定时推送")
+            .addText((text) => {
+                text
+                    .setPlaceholder("例如: 30")
+                    .setValue(String(blog.autoPublishInterval))
+                    .onChange(async (value) => {
+                        const num = parseInt(value, 10);
+                        if (!isNaN(num) && num >= 0) {
+                            this.plugin.settings.blogs[blogIndex].autoPublishInterval = num;
+                            await this.plugin.saveSettings();
+                        }
                     });
+            });
+
+        new Setting(containerEl)
+            .setName("文件变化后推送")
+            .setDesc("路径映射的源文件夹中有文件新增、修改、删除或重命名时推送")
+            .addToggle((toggle) => {
+                toggle.setValue(blog.autoPublishOnChange).onChange(async (value) => {
+                    this.plugin.settings.blogs[blogIndex].autoPublishOnChange = value;
+                    await this.plugin.saveSettings();
+                    this.display();
+                });
+            });
+
+        if (blog.autoPublishOnChange) {
+            new Setting(containerEl)
+                .setName("等待时间（秒）")
+                .setDesc("最后一次修改后等待多久再推送，期间的连续修改只推送一次")
+                .addText((text) => {
+                    text
+                        .setPlaceholder("例如: 60")
+                        .setValue(String(blog.autoPublishDelay))
+                        .onChange(async (value) => {
+                            const num = parseInt(value, 10);
+                            if (!isNaN(num) && num > 0) {
+                                this.plugin.settings.blogs[blogIndex].autoPublishDelay = num;
+                                await this.plugin.saveSettings();
+                            }
+                        });
+                });
+        }
+    }
+
+    // 提交信息模板及实时预览
+    displayCommitMessageSettings(containerEl, blog, blogIndex) {
+        const sample = {
+            blog: blog.name,
+            added: ["posts/hello-world.md", "posts/images/cover.png"],
+            updated: ["posts/notes.md"],
+            deleted: ["posts/old-post.md"],
+            renamed: [],
+            titles: ["Hello World", "读书笔记"],
+            mappings: ["文章"],
+        };
+
+        let previewEl;
+        const updatePreview = () => {
+            const current = this.plugin.settings.blogs[blogIndex];
+            previewEl.setText(formatCommitMessage(
+                current.commitMessageTemplate || BLOG_OPTION_DEFAULTS.commitMessageTemplate,
+                sample,
+                { includeBody: current.commitMessageBody }
+            ));
+        };
+
+        const placeholders = Object.entries(COMMIT_MESSAGE_PLACEHOLDERS)
+            .map(([key, desc]) => `{${key}} ${desc}`)
+            .join("，");
+
+        new Setting(containerEl)
+            .setName("提交信息模板")
+            .setDesc(`可用占位符：${placeholders}`)
+            .addText((text) => {
+                text
+                    .setPlaceholder(BLOG_OPTION_DEFAULTS.commitMessageTemplate)
+                    .setValue(blog.commitMessageTemplate)
+                    .onChange(async (value) => {
+                        this.plugin.settings.blogs[blogIndex].commitMessageTemplate = value;
+                        await this.plugin.saveSettings();
+                        updatePreview();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName("提交信息正文")
+            .setDesc("在提交信息正文中逐行列出每个新增、更新、删除的文件")
+            .addToggle((toggle) => {
+                toggle.setValue(blog.commitMessageBody).onChange(async (value) => {
+                    this.plugin.settings.blogs[blogIndex].commitMessageBody = value;
+                    await this.plugin.saveSettings();
+                    updatePreview();
+                });
+            });
+
+        const previewDiv = containerEl.createDiv({ cls: "commit-message-preview" });
+        previewDiv.createEl("small", { text: "预览（示例数据）" });
+        previewEl = previewDiv.createEl("pre");
+        updatePreview();
+    }
+}
+
+class SyncPlanModal extends Modal {
+    constructor(app, plan, onConfirm) {
+        super(app);
+        this.plan = plan;
+        this.onConfirm = onConfirm;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl("h2", { text: "同步预览" });
+
+        let hasAnyChange = false;
+
+        for (const blogPlan of this.plan.blogs) {
+            const blogDiv = contentEl.createDiv({ cls: "sync-plan-blog" });
+            blogDiv.createEl("h3", { text: blogPlan.blog.name });
+
+            if (blogPlan.error) {
+                blogDiv.createEl("p", { text: blogPlan.error });
+                continue;
+            }
+
+            let blogHasChange = false;
+            for (const mappingPlan of blogPlan.mappings) {
+                const { mapping } = mappingPlan;
+                const mappingDiv = blogDiv.createDiv({ cls: "sync-plan-mapping" });
+                mappingDiv.createEl("h4", { text: `${mapping.source || "未设置"} → ${mapping.target || "根目录"}` });
+
+                const sections = [
+                    ["新增", mappingPlan.add],
+                    ["更新", mappingPlan.update],
+                    ["删除", mappingPlan.delete],
+                    ["重命名", mappingPlan.renames.map(({ from, to }) => `${from} → ${to}`)],
+                    ["添加slug", mappingPlan.slugs.map(({ file, slug }) => `${file} → ${slug}`)],
+                    ["删除空文件夹", mappingPlan.emptyDirs.map(dir => dir || "(目标根目录)")],
+                ];
+
+                if (mappingPlan.warnings.length > 0) {
+                    const warningList = mappingDiv.createEl("ul", { cls: "sync-plan-warnings" });
+                    mappingPlan.warnings.forEach(warning => warningList.createEl("li", { text: `⚠ ${warning}` }));
+                }
+
+                let mappingHasChange = false;
+                for (const [label, items] of sections) {
+                    if (items.length === 0) continue;
+                    mappingHasChange = true;
+                    const details = mappingDiv.createEl("details");
+                    details.createEl("summary", { text: `${label}（${items.length}）` });
+                    const list = details.createEl("ul");
+                    items.forEach(item => list.createEl("li", { text: item }));
+                }
+
+                if (!mappingHasChange) {
+                    mappingDiv.createEl("p", { text: "无变更" });
+                }
+                if (mappingPlan.filteredOut.length > 0) {
+                    mappingDiv.createEl("p", { text: `${mappingPlan.filteredOut.length} 个文件不符合发布规则，未发布` });
+                }
+                blogHasChange = blogHasChange || mappingHasChange;
             }
+
+            if (blogHasChange && blogPlan.blog.deliveryType === "git") {
+                blogDiv.createEl("p", { text: `同步后将推送到分支 ${blogPlan.blog.gitPushBranch}` });
+            } else if (blogHasChange && DELIVERY_TARGETS[blogPlan.blog.deliveryType].deliver) {
+                blogDiv.createEl("p", { text: `同步后将通过 ${DELIVERY_TARGETS[blogPlan.blog.deliveryType].name} 发布` });
+            }
+            hasAnyChange = hasAnyChange || blogHasChange;
         }
 
-        containerEl.createEl("h3", { text: "博客配置" });
+        if (!hasAnyChange) {
+            contentEl.createEl("p", { text: "没有需要同步的内容" });
+        }
 
-        new Setting(containerEl).setName("添加新博客").addButton((button) => {
-            button
-                .setButtonText("+ 添加博客")
-                .setCta()
-                .onClick(async () => {
-                    this.plugin.settings.blogs.push({
-                        name: `博客${this.plugin.settings.blogs.length + 1}`,
-                        blogRepoPath: "",
-                        autoGit: false,
-                        gitPushBranch: "main",
-                        pathMappings: [{ source: "", target: "", enableFolderMatching: false }],
-                    });
-                    await this.plugin.saveSettings();
-                    this.display();
+        const buttons = new Setting(contentEl);
+        if (hasAnyChange) {
+            buttons.addButton(button => {
+                button.setButtonText("确认同步").setCta().onClick(async () => {
+                    this.close();
+                    await this.onConfirm();
                 });
+            });
+        }
+        buttons.addButton(button => {
+            button.setButtonText("取消").onClick(() => this.close());
         });
+    }
 
-        this.plugin.settings.blogs.forEach((blog, blogIndex) => {
-            const blogDiv = containerEl.createEl("div", { cls: "blog-config" });
-            blogDiv.createEl("h4", { text: blog.name });
+    onClose() {
+        this.contentEl.empty();
+    }
+}
 
-            // --- 可见设置 ---
-            new Setting(blogDiv)
-                .setName("自动Git推送")
-                .setDesc("推送后自动提交并推送到Git仓库")
-                .addToggle((toggle) => {
-                    toggle.setValue(blog.autoGit).onChange(async (value) => {
-                        this.plugin.settings.blogs[blogIndex].autoGit = value;
-                        await this.plugin.saveSettings();
-                        this.display(); // 刷新以显示/隐藏分支设置
-                    });
-                });
+// 推送结束后列出同步失败的文件
+class SyncFailuresModal extends Modal {
+    constructor(app, results) {
+        super(app);
+        this.results = results;
+    }
 
-            if (blog.pathMappings) {
-                blog.pathMappings.forEach((mapping, mappingIndex) => {
-                    const mappingDisplayDiv = blogDiv.createEl("div", { cls: "path-mapping-display" });
-                    new Setting(mappingDisplayDiv)
-                        .setName(`路径映射: ${mapping.source || "未设置"} → ${mapping.target || "根目录"}`)
-                        .setDesc("删除目标文件夹中源文件夹不存在的文件")
-                        .addToggle(toggle => {
-                            toggle.setValue(mapping.enableFolderMatching).onChange(async (value) => {
-                                this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].enableFolderMatching = value;
-                                await this.plugin.saveSettings();
-                            });
-                        });
-                });
-            }
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl("h2", { text: "部分文件同步失败" });
+        contentEl.createEl("p", { text: "以下文件没有同步，其他文件已正常处理。修复问题后再次推送即可重试。" });
 
-            // --- 可折叠的详细设置 ---
-            const details = blogDiv.createEl("details");
-            details.createEl("summary", { text: "编辑路径与高级选项" });
-            const advancedSettingsDiv = details.createDiv();
+        for (const { blog, failed } of this.results) {
+            contentEl.createEl("h3", { text: `${blog.name}（${failed.length}）` });
+            const list = contentEl.createEl("ul");
+            failed.forEach(failure => list.createEl("li", { text: formatSyncFailure(failure) }));
+        }
+    }
 
-            new Setting(advancedSettingsDiv)
-                .setName("博客名称")
-                .addText((text) => {
-                    text.setValue(blog.name).onChange(async (value) => {
-                        this.plugin.settings.blogs[blogIndex].name = value;
-                        await this.plugin.saveSettings();
-                        // 移除 this.display()，避免输入时折叠
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// 推送历史：按时间倒序列出每次推送，可撤销
+class PublishHistoryModal extends Modal {
+    constructor(app, plugin, runs) {
+        super(app);
+        this.plugin = plugin;
+        this.runs = runs;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl("h2", { text: "推送历史" });
+
+        if (this.runs.length === 0) {
+            contentEl.createEl("p", { text: "还没有推送记录" });
+            return;
+        }
+
+        for (const run of this.runs) {
+            const runDiv = contentEl.createDiv({ cls: "publish-history-run" });
+            const title = new Date(run.startedAt).toLocaleString() + (run.revertedAt ? "（已撤销）" : "");
+            runDiv.createEl("h3", { text: title });
+
+            for (const entry of run.blogs) {
+                const blogDiv = runDiv.createDiv({ cls: "publish-history-blog" });
+                const counts = [
+                    entry.added.length && `新增 ${entry.added.length}`,
+                    entry.updated.length && `更新 ${entry.updated.length}`,
+                    entry.deleted.length && `删除 ${entry.deleted.length}`,
+                    entry.renamed.length && `重命名 ${entry.renamed.length}`,
+                ].filter(Boolean).join("，");
+                blogDiv.createEl("h4", { text: `${entry.blogName}${counts ? `：${counts}` : ""}` });
+
+                if (entry.mappings.length > 0) {
+                    blogDiv.createEl("p", { text: `路径映射：${entry.mappings.join(", ")}` });
+                }
+                if (entry.commitHash) {
+                    blogDiv.createEl("p", { text: `提交 ${entry.commitHash.slice(0, 7)}${entry.pushed ? "，已推送" : "，未推送"}` });
+                }
+                if (entry.error) {
+                    blogDiv.createEl("p", { text: `⚠ ${entry.error}` });
+                }
+
+                const sections = [
+                    ["新增", entry.added],
+                    ["更新", entry.updated],
+                    ["删除", entry.deleted],
+                    ["重命名", entry.renamed.map(({ from, to }) => `${from} → ${to}`)],
+                    ["添加slug", entry.slugs.map(({ file, slug }) => `${file} → ${slug}`)],
+                    ["失败", (entry.failed || []).map(formatSyncFailure)],
+                ];
+                for (const [label, items] of sections) {
+                    if (items.length === 0) continue;
+                    const details = blogDiv.createEl("details");
+                    details.createEl("summary", { text: `${label}（${items.length}）` });
+                    const list = details.createEl("ul");
+                    items.forEach(item => list.createEl("li", { text: item }));
+                }
+
+                for (const hook of entry.hooks || []) {
+                    const details = blogDiv.createEl("details");
+                    const status = hook.code === 0 ? "成功" : hook.timedOut ? "超时" : `失败，退出码 ${hook.code}`;
+                    details.createEl("summary", { text: `${HOOK_STAGES[hook.stage].name}钩子：${hook.command}（${status}，${(hook.duration / 1000).toFixed(1)}秒）` });
+                    details.createEl("pre", { text: hook.output || "（无输出）" });
+                }
+            }
+
+            if (!run.revertedAt) {
+                // 第一次点击只修改按钮文字，再次点击才撤销
+                let confirming = false;
+                new Setting(runDiv).addButton(button => {
+                    button.setButtonText("撤销此次推送").onClick(async () => {
+                        if (!confirming) {
+                            confirming = true;
+                            button.setButtonText("确认撤销？").setWarning();
+                            return;
+                        }
+                        button.setDisabled(true);
+                        await this.plugin.revertRun(run.id);
+                        this.runs = await this.plugin.loadHistory();
+                        this.onOpen();
                     });
                 });
+            }
+        }
+    }
 
-            new Setting(advancedSettingsDiv)
-                .setName("博客仓库路径")
-                .setDesc("Git仓库的绝对路径，例如: F:\\Blog\\target")
-                .addText((text) => {
-                    text
-                        .setPlaceholder("F:\\Blog\\target")
-                        .setValue(blog.blogRepoPath)
-                        .onChange(async (value) => {
-                            this.plugin.settings.blogs[blogIndex].blogRepoPath = value;
-                            await this.plugin.saveSettings();
-                        });
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// slug检查结果，每类问题提供对应的修复操作
+class SlugReportModal extends Modal {
+    constructor(app, plugin, report) {
+        super(app);
+        this.plugin = plugin;
+        this.report = report;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        const { duplicates, orphans, edited } = this.report;
+        contentEl.empty();
+        contentEl.createEl("h2", { text: "检查slug" });
+
+        const refresh = async (message) => {
+            new Notice(message);
+            this.report = await this.plugin.validateSlugs();
+            this.onOpen();
+        };
+
+        const sections = [
+            {
+                title: "重复的slug",
+                desc: "多篇笔记使用同一个slug，发布后链接会冲突。修复时保留索引中登记的笔记，为其余笔记重新生成slug",
+                items: duplicates.map(({ slug, owner, others }) => `${slug}：${owner}（保留）、${others.join("、")}`),
+                fixText: "重新生成",
+                fix: async () => refresh(`已为 ${await this.plugin.fixDuplicateSlugs(duplicates)} 篇笔记重新生成slug`),
+            },
+            {
+                title: "找不到笔记的slug",
+                desc: "笔记已删除或slug已被修改。已发布的链接可能仍在使用这些slug，释放后可以重新分配",
+                items: orphans.map(({ slug, path: notePath }) => `${slug}：${notePath || "（未记录笔记）"}`),
+                fixText: "释放",
+                fix: async () => {
+                    await this.plugin.releaseSlugs(orphans.map(orphan => orphan.slug));
+                    await refresh(`已释放 ${orphans.length} 个slug`);
+                },
+            },
+            {
+                title: "手动修改的slug",
+                desc: "笔记中的slug没有登记在索引中。登记后以笔记中的slug为准",
+                items: edited.map(({ slug, path: notePath, registered }) =>
+                    `${notePath}：${registered ? `${registered} → ` : ""}${slug}`),
+                fixText: "登记",
+                fix: async () => {
+                    await this.plugin.adoptSlugs(edited);
+                    await refresh(`已登记 ${edited.length} 个slug`);
+                },
+            },
+        ];
+
+        for (const section of sections) {
+            const sectionDiv = contentEl.createDiv({ cls: "slug-report-section" });
+            sectionDiv.createEl("h3", { text: `${section.title}（${section.items.length}）` });
+            if (section.items.length === 0) continue;
+
+            sectionDiv.createEl("p", { text: section.desc });
+            const list = sectionDiv.createEl("ul");
+            section.items.forEach(item => list.createEl("li", { text: item }));
+            new Setting(sectionDiv).addButton(button => {
+                button.setButtonText(section.fixText).onClick(section.fix);
+            });
+        }
+
+        new Setting(contentEl)
+            .setName("重建索引")
+            .setDesc("扫描所有路径映射的源文件夹，按笔记中的slug重新建立索引；找不到笔记的slug会被释放")
+            .addButton(button => {
+                button.setButtonText("重建").setWarning().onClick(async () => {
+                    await refresh(`索引已重建，共 ${await this.plugin.rebuildSlugRegistry()} 个slug`);
                 });
+            });
+    }
 
-            if (blog.autoGit) {
-                new Setting(advancedSettingsDiv).setName("Git推送分支").addText((text) => {
-                    text
-                        .setPlaceholder("例如: main")
-                        .setValue(blog.gitPushBranch)
-                        .onChange(async (value) => {
-                            this.plugin.settings.blogs[blogIndex].gitPushBranch = value;
-                            await this.plugin.saveSettings();
-                        });
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// 侧边栏中的发布状态：列出每个博客路径映射中的笔记及其slug、发布位置和状态
+class PublishStatusView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.statusFilter = ""; // 为空时显示全部，否则只显示该状态
+        this.results = [];
+    }
+
+    getViewType() {
+        return PUBLISH_STATUS_VIEW_TYPE;
+    }
+
+    getDisplayText() {
+        return "发布状态";
+    }
+
+    getIcon() {
+        return "list-checks";
+    }
+
+    async onOpen() {
+        await this.refresh();
+    }
+
+    async onClose() {
+        this.contentEl.empty();
+    }
+
+    async refresh() {
+        if (this.refreshing) return;
+        this.refreshing = true;
+        try {
+            this.results = await this.plugin.getPublishStatus();
+        } catch (error) {
+            console.error("计算发布状态出错:", error);
+            new Notice(`计算发布状态出错: ${error.message}`);
+        } finally {
+            this.refreshing = false;
+        }
+        this.render();
+    }
+
+    render() {
+        const { contentEl } = this;
+        contentEl.empty();
+
+        new Setting(contentEl)
+            .setName("发布状态")
+            .addDropdown(dropdown => {
+                dropdown.addOption("", "全部");
+                for (const [status, label] of Object.entries(PUBLISH_STATUSES)) {
+                    dropdown.addOption(status, label);
+                }
+                dropdown.setValue(this.statusFilter).onChange(value => {
+                    this.statusFilter = value;
+                    this.render();
                 });
+            })
+            .addExtraButton(button => {
+                button.setIcon("refresh-cw").setTooltip("刷新").onClick(() => this.refresh());
+            });
+
+        if (this.results.length === 0) {
+            contentEl.createEl("p", { text: "还没有配置博客" });
+            return;
+        }
+
+        for (const { blog, error, notes } of this.results) {
+            const blogDiv = contentEl.createDiv({ cls: "publish-status-blog" });
+            const counts = Object.keys(PUBLISH_STATUSES)
+                .map(status => [status, notes.filter(note => note.status === status).length])
+                .filter(([, count]) => count > 0)
+                .map(([status, count]) => `${PUBLISH_STATUSES[status]} ${count}`)
+                .join("，");
+            blogDiv.createEl("h4", { text: blog.name });
+            if (error) {
+                blogDiv.createEl("p", { text: `⚠ ${error}` });
+                continue;
             }
+            blogDiv.createEl("p", { text: counts || "没有笔记" });
 
-            const mappingsDiv = advancedSettingsDiv.createEl("div", { cls: "path-mappings" });
-            mappingsDiv.createEl("strong", { text: "路径映射配置" });
+            const shown = notes.filter(note => !this.statusFilter || note.status === this.statusFilter);
+            for (const note of shown) {
+                this.renderNote(blogDiv, blog, note);
+            }
+        }
+    }
 
-            if (blog.pathMappings) {
-                blog.pathMappings.forEach((mapping, mappingIndex) => {
-                    const mappingEditDiv = mappingsDiv.createEl("div", { cls: "path-mapping-item" });
+    renderNote(containerEl, blog, note) {
+        const details = [PUBLISH_STATUSES[note.status]];
+        if (note.slug) details.push(`slug：${note.slug}`);
+        if (note.target) details.push(`→ ${note.target}`);
 
-                    new Setting(mappingEditDiv)
-                        .setName("源文件夹")
-                        .setDesc("相对于Obsidian仓库根目录的路径")
-                        .addText(text => {
-                            text.setValue(mapping.source).onChange(async (value) => {
-                                this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].source = value;
-                                await this.plugin.saveSettings();
-                                // 移除 this.display()，避免输入时折叠
-                            });
-                        });
+        const setting = new Setting(containerEl)
+            .setName(note.notePath)
+            .setDesc(details.join(" · "))
+            .setClass(`publish-status-${note.status}`);
 
-                    new Setting(mappingEditDiv)
-                        .setName("目标文件夹")
-                        .setDesc("相对于博客仓库路径的路径（可留空）")
-                        .addText(text => {
-                            text.setValue(mapping.target).onChange(async (value) => {
-                                this.plugin.settings.blogs[blogIndex].pathMappings[mappingIndex].target = value;
-                                await this.plugin.saveSettings();
-                                // 移除 this.display()，避免输入时折叠
-                            });
-                        });
-                    
-                    new Setting(mappingEditDiv).addButton(button => {
-                        button.setButtonText("删除此映射").onClick(async () => {
-                            this.plugin.settings.blogs[blogIndex].pathMappings.splice(mappingIndex, 1);
-                            await this.plugin.saveSettings();
-                            this.display();
-                        });
-                    });
+        if (note.status !== "orphaned") {
+            setting.nameEl.addEventListener("click", () => {
+                this.app.workspace.openLinkText(note.notePath, "", false);
+            });
+        }
+
+        if (note.status === "unpublished" || note.status === "modified") {
+            setting.addExtraButton(button => {
+                button.setIcon("upload").setTooltip("发布").onClick(async () => {
+                    await this.plugin.copyMarkdownFiles({ files: [note.notePath], blogIds: [blog.id] });
                 });
-            }
+            });
+        }
 
-            new Setting(advancedSettingsDiv).addButton(button => {
-                button.setButtonText("+ 添加路径映射").setCta().onClick(async () => {
-                    if (!this.plugin.settings.blogs[blogIndex].pathMappings) {
-                        this.plugin.settings.blogs[blogIndex].pathMappings = [];
-                    }
-                    this.plugin.settings.blogs[blogIndex].pathMappings.push({
-                        source: "",
-                        target: "",
-                        enableFolderMatching: false,
+        if (note.target && note.status !== "unpublished") {
+            // 只能撤回插件发布的文件，不删除博客中原有的文件
+            if (note.owned) {
+                setting.addExtraButton(button => {
+                    button.setIcon("trash").setTooltip("撤回").onClick(async () => {
+                        await this.plugin.copyMarkdownFiles({ files: [note.notePath], blogIds: [blog.id], unpublish: true });
                     });
-                    await this.plugin.saveSettings();
-                    this.display();
+                });
+            }
+            setting.addExtraButton(button => {
+                button.setIcon("external-link").setTooltip("打开发布的文件").onClick(async () => {
+                    const error = await require("electron").shell.openPath(path.join(blog.blogRepoPath, note.target));
+                    if (error) new Notice(`无法打开文件：${error}`);
                 });
             });
+        }
+    }
+}
 
-            new Setting(advancedSettingsDiv).addButton(button => {
-                button.setButtonText("删除此博客").onClick(async () => {
-                    this.plugin.settings.blogs.splice(blogIndex, 1);
-                    await this.plugin.saveSettings();
-                    this.display();
+// 导出或导入博客配置，mode 为 export 或 import
+class BlogConfigModal extends Modal {
+    constructor(app, plugin, mode, onImported = null) {
+        super(app);
+        this.plugin = plugin;
+        this.mode = mode;
+        this.onImported = onImported;
+        this.format = "yaml";
+        this.importMode = "replace";
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        if (this.mode === "export") {
+            this.renderExport();
+        } else {
+            this.renderImport();
+        }
+    }
+
+    renderExport() {
+        const { contentEl } = this;
+        contentEl.createEl("h2", { text: "导出博客配置" });
+        contentEl.createEl("p", { text: "密码和密钥不会导出，导入后需要在设置中重新填写" });
+
+        let textArea;
+        new Setting(contentEl)
+            .setName("格式")
+            .addDropdown(dropdown => {
+                for (const [format, label] of Object.entries(CONFIG_EXPORT_FORMATS)) {
+                    dropdown.addOption(format, label);
+                }
+                dropdown.setValue(this.format).onChange(value => {
+                    this.format = value;
+                    textArea.setValue(exportBlogConfig(this.plugin.settings, value));
+                });
+            })
+            .addButton(button => {
+                button.setButtonText("复制").setCta().onClick(async () => {
+                    await navigator.clipboard.writeText(textArea.getValue());
+                    new Notice("博客配置已复制到剪贴板");
                 });
             });
+
+        new Setting(contentEl).addTextArea(text => {
+            textArea = text;
+            text.inputEl.rows = 20;
+            text.setValue(exportBlogConfig(this.plugin.settings, this.format));
+        });
+    }
+
+    renderImport() {
+        const { contentEl } = this;
+        contentEl.createEl("h2", { text: "导入博客配置" });
+        contentEl.createEl("p", { text: "粘贴导出的YAML或JSON配置。仓库路径等与本机有关的设置导入后请检查" });
+
+        let input = "";
+        new Setting(contentEl).addTextArea(text => {
+            text.inputEl.rows = 20;
+            text.onChange(value => {
+                input = value;
+            });
         });
+
+        const errorEl = contentEl.createEl("p", { cls: "blog-config-error" });
+        new Setting(contentEl)
+            .setName("导入方式")
+            .addDropdown(dropdown => {
+                dropdown
+                    .addOption("replace", "替换现有的所有博客")
+                    .addOption("append", "添加到现有博客之后")
+                    .setValue(this.importMode)
+                    .onChange(value => {
+                        this.importMode = value;
+                    });
+            })
+            .addButton(button => {
+                button.setButtonText("导入").setCta().onClick(async () => {
+                    let count;
+                    try {
+                        count = await this.plugin.importBlogConfig(input, this.importMode);
+                    } catch (error) {
+                        errorEl.setText(`✗ ${error.message}`);
+                        return;
+                    }
+                    new Notice(`已导入 ${count} 个博客`);
+                    this.close();
+                    if (this.onImported) this.onImported();
+                });
+            });
+    }
+
+    onClose() {
+        this.contentEl.empty();
     }
-}
\ No newline at end of file
+}
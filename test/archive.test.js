@@ -0,0 +1,93 @@
+// 归档：解析生成的zip和tar，检查文件名、大小、CRC和内容
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("node:zlib");
+const { loadMain } = require("./helpers");
+
+const { createZip, createTar } = loadMain();
+
+const mtime = new Date(2024, 4, 17, 13, 45, 30);
+const longName = `${"深层文件夹/".repeat(12)}文章.md`;
+const ENTRIES = [
+    { name: "index.md", data: Buffer.from("# 标题\n\n正文\n"), mtime },
+    { name: "assets/图片.png", data: Buffer.from([0, 1, 2, 255, 254, 0, 10]), mtime },
+    { name: "empty.txt", data: Buffer.alloc(0), mtime },
+    { name: longName, data: Buffer.alloc(1500, "x"), mtime },
+];
+
+test("zip 的本地文件头和中央目录一致，内容可以解压", () => {
+    const zip = createZip(ENTRIES);
+
+    const end = zip.length - 22;
+    assert.equal(zip.readUInt32LE(end), 0x06054b50);
+    assert.equal(zip.readUInt16LE(end + 10), ENTRIES.length);
+    let central = zip.readUInt32LE(end + 16);
+    assert.equal(central + zip.readUInt32LE(end + 12), end);
+
+    for (const entry of ENTRIES) {
+        assert.equal(zip.readUInt32LE(central), 0x02014b50);
+        const crc = zip.readUInt32LE(central + 16);
+        const compressedSize = zip.readUInt32LE(central + 20);
+        const size = zip.readUInt32LE(central + 24);
+        const nameLength = zip.readUInt16LE(central + 28);
+        const offset = zip.readUInt32LE(central + 42);
+        assert.equal(zip.toString("utf8", central + 46, central + 46 + nameLength), entry.name);
+        assert.equal(size, entry.data.length);
+        assert.equal(crc, zlib.crc32(entry.data));
+        central += 46 + nameLength;
+
+        assert.equal(zip.readUInt32LE(offset), 0x04034b50);
+        assert.equal(zip.readUInt16LE(offset + 6) & 0x0800, 0x0800);
+        assert.equal(zip.readUInt32LE(offset + 14), crc);
+        assert.equal(zip.readUInt32LE(offset + 18), compressedSize);
+        assert.equal(zip.readUInt32LE(offset + 22), size);
+        assert.equal(zip.readUInt16LE(offset + 26), nameLength);
+        const dataStart = offset + 30 + nameLength;
+        assert.deepEqual(zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize)), entry.data);
+
+        // DOS 时间精确到2秒
+        const time = zip.readUInt16LE(offset + 10);
+        const date = zip.readUInt16LE(offset + 12);
+        assert.deepEqual([time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2], [13, 45, 30]);
+        assert.deepEqual([(date >> 9) + 1980, (date >> 5) & 0xF, date & 0x1F], [2024, 5, 17]);
+    }
+});
+
+test("tar 的文件头、校验和与内容正确，长路径拆到 prefix", () => {
+    const tar = createTar(ENTRIES);
+    assert.equal(tar.length % 512, 0);
+
+    const readString = (block, start, length) => {
+        const field = block.subarray(start, start + length);
+        const nul = field.indexOf(0);
+        return field.toString("utf8", 0, nul === -1 ? length : nul);
+    };
+    let offset = 0;
+    for (const entry of ENTRIES) {
+        const header = tar.subarray(offset, offset + 512);
+        const prefix = readString(header, 345, 155);
+        const name = readString(header, 0, 100);
+        assert.equal(prefix ? `${prefix}/${name}` : name, entry.name);
+        assert.equal(readString(header, 257, 6), "ustar");
+        assert.equal(parseInt(readString(header, 124, 12), 8), entry.data.length);
+        assert.equal(parseInt(readString(header, 136, 12), 8), Math.floor(mtime.getTime() / 1000));
+
+        const checksum = parseInt(readString(header, 148, 8), 8);
+        const unsigned = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 0x20 : byte), 0);
+        assert.equal(checksum, unsigned);
+
+        offset += 512;
+        assert.deepEqual(tar.subarray(offset, offset + entry.data.length), entry.data);
+        offset += Math.ceil(entry.data.length / 512) * 512;
+    }
+    // 结尾是两个全零块
+    assert.equal(tar.length, offset + 1024);
+    assert.ok(tar.subarray(offset).every(byte => byte === 0));
+});
+
+test("tar 无法拆分的长路径报错", () => {
+    assert.throws(
+        () => createTar([{ name: "x".repeat(120), data: Buffer.alloc(1), mtime }]),
+        error => error.name === "DeliveryError" && /路径过长/.test(error.detail)
+    );
+});
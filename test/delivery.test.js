@@ -0,0 +1,160 @@
+// WebDAV 和 S3 发布：对本地HTTP服务器发送请求，检查请求方法、路径、认证和内容
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+const { loadMain, createVault } = require("./helpers");
+
+const { deliverWebDav, deliverS3 } = loadMain();
+
+// 记录收到的请求，handler 决定响应
+let requests = [];
+let handler = () => [200, ""];
+let server;
+let origin;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on("data", chunk => chunks.push(chunk));
+        request.on("end", () => {
+            const received = { method: request.method, url: request.url, headers: request.headers, body: Buffer.concat(chunks) };
+            requests.push(received);
+            const [status, body] = handler(received);
+            response.writeHead(status).end(body);
+        });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const FILES = {
+    "index.md": "# 首页\n",
+    "posts/2024/第一篇.md": "正文",
+    "posts/b.md": "b",
+};
+
+function withFiles(callback) {
+    return async () => {
+        requests = [];
+        handler = () => [201, ""];
+        const root = path.join(createVault(FILES), "vault");
+        try {
+            await callback(root);
+        } finally {
+            fs.rmSync(path.dirname(root), { recursive: true, force: true });
+        }
+    };
+}
+
+test("WebDAV 逐级创建文件夹、上传并删除文件", withFiles(async root => {
+    handler = ({ method, url }) => {
+        if (method === "MKCOL" && url === "/dav/posts/") return [405, ""]; // 已存在
+        if (method === "DELETE" && url === "/dav/missing.md") return [404, ""];
+        return [201, ""];
+    };
+    await deliverWebDav({
+        options: { url: `${origin}/dav/`, username: "user", password: "pa:ss" },
+        root,
+        uploads: Object.keys(FILES),
+        deletions: ["old.md", "missing.md"],
+    });
+
+    const postsDir = encodeURIComponent("2024");
+    const note = encodeURIComponent("第一篇.md");
+    assert.deepEqual(requests.map(({ method, url }) => `${method} ${url}`), [
+        "PUT /dav/index.md",
+        "MKCOL /dav/posts/",
+        `MKCOL /dav/posts/${postsDir}/`,
+        `PUT /dav/posts/${postsDir}/${note}`,
+        "PUT /dav/posts/b.md",
+        "DELETE /dav/old.md",
+        "DELETE /dav/missing.md",
+    ]);
+    const basic = `Basic ${Buffer.from("user:pa:ss").toString("base64")}`;
+    assert.ok(requests.every(({ headers }) => headers.authorization === basic));
+
+    const put = requests.find(({ url }) => url.endsWith(note));
+    assert.equal(put.body.toString("utf8"), "正文");
+    assert.equal(put.headers["content-type"], "text/markdown; charset=utf-8");
+    assert.equal(put.headers["content-length"], String(Buffer.byteLength("正文")));
+}));
+
+test("WebDAV 认证失败和上传失败时报错", withFiles(async root => {
+    const deliver = () => deliverWebDav({ options: { url: origin }, root, uploads: ["index.md"], deletions: [] });
+
+    handler = () => [401, ""];
+    await assert.rejects(deliver(), { name: "DeliveryError", message: "WebDAV认证失败" });
+    assert.equal(requests[0].headers.authorization, undefined);
+
+    handler = () => [507, ""];
+    await assert.rejects(deliver(), { name: "DeliveryError", message: "WebDAV上传失败", detail: "index.md: HTTP 507" });
+}));
+
+// 按 AWS Signature V4 独立计算收到请求的签名
+function expectedSignature({ method, url, headers }, secretAccessKey, region) {
+    const [, credential, signedHeaders] = /Credential=([^,]+), SignedHeaders=([^,]+), Signature=/.exec(headers.authorization);
+    const [, dateStamp] = credential.split("/");
+    const names = signedHeaders.split(";");
+    const canonicalRequest = [
+        method,
+        url,
+        "",
+        names.map(name => `${name}:${headers[name]}\n`).join(""),
+        signedHeaders,
+        headers["x-amz-content-sha256"],
+    ].join("\n");
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = [
+        "AWS4-HMAC-SHA256",
+        headers["x-amz-date"],
+        scope,
+        crypto.createHash("sha256").update(canonicalRequest).digest("hex"),
+    ].join("\n");
+    const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), "s3"), "aws4_request");
+    return crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+}
+
+const S3_OPTIONS = { bucket: "site", prefix: "/blog/", accessKeyId: "AKID", secretAccessKey: "secret", region: "eu-west-1", pathStyle: true };
+
+test("S3 上传和删除使用正确签名的请求", withFiles(async root => {
+    handler = ({ method }) => [method === "DELETE" ? 204 : 200, ""];
+    await deliverS3({
+        options: { ...S3_OPTIONS, endpoint: origin },
+        root,
+        uploads: ["index.md", "posts/2024/第一篇.md"],
+        deletions: ["old.md"],
+    });
+
+    assert.deepEqual(requests.map(({ method, url }) => `${method} ${url}`), [
+        "PUT /site/blog/index.md",
+        `PUT /site/blog/posts/2024/${encodeURIComponent("第一篇.md")}`,
+        "DELETE /site/blog/old.md",
+    ]);
+    for (const request of requests) {
+        const sha256 = crypto.createHash("sha256").update(request.body).digest("hex");
+        assert.equal(request.headers.host, new URL(origin).host);
+        assert.equal(request.headers["x-amz-content-sha256"], sha256);
+        assert.match(request.headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKID\/\d{8}\/eu-west-1\/s3\/aws4_request, /);
+        assert.match(request.headers.authorization, /SignedHeaders=[^,]*host;[^,]*x-amz-content-sha256;x-amz-date/);
+        assert.ok(request.headers.authorization.endsWith(`Signature=${expectedSignature(request, "secret", "eu-west-1")}`));
+    }
+    assert.equal(requests[0].body.toString("utf8"), FILES["index.md"]);
+    assert.equal(requests[0].headers["content-type"], "text/markdown; charset=utf-8");
+}));
+
+test("S3 删除不存在的对象不报错，认证失败时报告错误代码", withFiles(async root => {
+    handler = () => [404, ""];
+    await deliverS3({ options: { ...S3_OPTIONS, endpoint: origin }, root, uploads: [], deletions: ["gone.md"] });
+
+    handler = () => [403, "<Error><Code>SignatureDoesNotMatch</Code></Error>"];
+    await assert.rejects(
+        deliverS3({ options: { ...S3_OPTIONS, endpoint: origin }, root, uploads: ["index.md"], deletions: [] }),
+        { name: "DeliveryError", message: "S3认证失败", detail: "index.md: HTTP 403 SignatureDoesNotMatch" }
+    );
+}));
@@ -0,0 +1,107 @@
+// front matter 的拆分、读取和修改，以及同步时对有误的front matter的处理
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { loadMain, createVault, createPlugin } = require("./helpers");
+
+const { splitFrontMatter, readFrontMatter, updateFrontMatter, setFrontMatterField } = loadMain();
+
+const setSlug = content => updateFrontMatter(content, doc => setFrontMatterField(doc, "slug", "abc", true));
+
+test("拆分front matter与正文", () => {
+    const parts = splitFrontMatter("---\ntitle: A\n---\nbody\n");
+    assert.equal(parts.yaml, "title: A\n");
+    assert.equal(parts.body, "body\n");
+
+    const none = splitFrontMatter("just text\n---\nmore");
+    assert.equal(none.yaml, null);
+    assert.equal(none.body, "just text\n---\nmore");
+});
+
+test("保留CRLF换行符", () => {
+    const content = "---\r\ntitle: A\r\n---\r\nline 1\r\nline 2\r\n";
+    assert.deepEqual(readFrontMatter(content), { title: "A" });
+    assert.equal(setSlug(content), "---\r\ntitle: A\r\nslug: \"abc\"\r\n---\r\nline 1\r\nline 2\r\n");
+    assert.equal(setSlug("line 1\r\nline 2\r\n"), "---\r\nslug: \"abc\"\r\n---\r\nline 1\r\nline 2\r\n");
+});
+
+test("保留BOM", () => {
+    const content = "\uFEFF---\ntitle: A\n---\nbody";
+    assert.deepEqual(readFrontMatter(content), { title: "A" });
+    assert.equal(setSlug(content), "\uFEFF---\ntitle: A\nslug: \"abc\"\n---\nbody");
+    assert.equal(setSlug("\uFEFFbody"), "\uFEFF---\nslug: \"abc\"\n---\nbody");
+});
+
+test("保留注释和键的顺序", () => {
+    const content = "---\n# 文章信息\ntitle: A # 标题\ntags: [a, b]\n---\nbody";
+    assert.equal(setSlug(content), "---\n# 文章信息\ntitle: A # 标题\ntags: [a, b]\nslug: \"abc\"\n---\nbody");
+    // 只有注释时同样视为front matter
+    assert.deepEqual(readFrontMatter("---\n# 草稿\n---\nbody"), {});
+});
+
+test("缺少结束标记时报错，不改写笔记", () => {
+    const content = "---\ntitle: A\n\nbody";
+    assert.throws(() => splitFrontMatter(content), /缺少结束标记/);
+    assert.throws(() => readFrontMatter(content), /缺少结束标记/);
+    assert.throws(() => setSlug(content), /缺少结束标记/);
+});
+
+test("YAML有误时报错，不改写笔记", () => {
+    const content = "---\ntitle: Vue: a guide\ndraft: true\n---\nbody";
+    assert.throws(() => readFrontMatter(content), /front matter 解析失败/);
+    assert.throws(() => setSlug(content), /front matter 解析失败/);
+});
+
+test("正文以分隔线开头时当作正文", () => {
+    const content = "---\n\n一段引言\n\n---\n\n正文";
+    assert.equal(splitFrontMatter(content).yaml, null);
+    assert.deepEqual(readFrontMatter(content), {});
+    assert.equal(setSlug(content), `---\nslug: "abc"\n---\n${content}`);
+});
+
+test("正文中的 slug: 不是front matter", () => {
+    const content = "正文第一行\nslug: not-meta\n";
+    assert.deepEqual(readFrontMatter(content), {});
+    assert.equal(setSlug(content), `---\nslug: "abc"\n---\n${content}`);
+
+    const withFrontMatter = "---\ntitle: A\n---\nslug: in-body\n";
+    assert.deepEqual(readFrontMatter(withFrontMatter), { title: "A" });
+    assert.equal(setSlug(withFrontMatter), "---\ntitle: A\nslug: \"abc\"\n---\nslug: in-body\n");
+});
+
+test("front matter有误的笔记不添加slug也不发布", async () => {
+    const invalid = "---\ntitle: Vue: a guide\ndraft: true\n---\nbody";
+    const unclosed = "---\ntitle: B\n\nbody";
+    const root = createVault({
+        "posts/invalid.md": invalid,
+        "posts/unclosed.md": unclosed,
+        "posts/ok.md": "---\ntitle: C\n---\nbody",
+    });
+    try {
+        const plugin = await createPlugin(root, {
+            settingsVersion: 2,
+            autoSlug: true,
+            blogs: [{
+                name: "Blog",
+                blogRepoPath: path.join(root, "blog"),
+                pathMappings: [{ source: "posts", target: "content", excludeDrafts: true }],
+            }],
+        });
+        fs.mkdirSync(path.join(root, "blog"));
+
+        const plan = await plugin.buildSyncPlan();
+        const [mappingPlan] = plan.blogs[0].mappings;
+        assert.deepEqual(mappingPlan.add, ["ok.md"]);
+        assert.deepEqual(mappingPlan.slugs.map(({ file }) => file), ["ok.md"]);
+        assert.ok(mappingPlan.warnings.some(warning => warning.startsWith("invalid.md")));
+        assert.ok(mappingPlan.warnings.some(warning => warning.startsWith("unclosed.md")));
+
+        await plugin.executeSyncPlan(plan, { quiet: true });
+        assert.equal(fs.readFileSync(path.join(root, "vault/posts/invalid.md"), "utf8"), invalid);
+        assert.equal(fs.readFileSync(path.join(root, "vault/posts/unclosed.md"), "utf8"), unclosed);
+        assert.deepEqual(fs.readdirSync(path.join(root, "blog/content")), ["ok.md"]);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,141 @@
+// 测试辅助：在 Obsidian 之外加载 main.js，并取出模块内部的函数
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const Module = require("node:module");
+
+// main.js 依赖 Obsidian 提供的 obsidian 模块，这里只实现测试用到的部分
+class Plugin {
+    constructor(app, manifest) {
+        this.app = app;
+        this.manifest = manifest;
+        this.stored = null;
+        this.saveCount = 0;
+    }
+
+    async loadData() {
+        return this.stored === null ? null : JSON.parse(JSON.stringify(this.stored));
+    }
+
+    async saveData(data) {
+        this.stored = JSON.parse(JSON.stringify(data));
+        this.saveCount++;
+    }
+
+    register() {}
+    registerEvent() {}
+}
+
+// 界面元素只需要能调用，不渲染
+const fakeElement = () => ({
+    empty() {},
+    setText() {},
+    addEventListener() {},
+    createDiv: () => fakeElement(),
+    createEl: () => fakeElement(),
+});
+
+const notices = [];
+class Notice {
+    constructor(message) {
+        notices.push(message);
+        this.noticeEl = fakeElement();
+    }
+
+    hide() {}
+}
+
+class Placeholder {}
+
+// 打开的对话框按顺序记录，测试中可以取出并模拟确认
+const modals = [];
+class Modal {
+    constructor(app) {
+        this.app = app;
+    }
+
+    open() {
+        modals.push(this);
+    }
+
+    close() {}
+}
+
+// 插件通过 window 使用定时器，测试中的定时器不阻止进程退出
+global.window = {
+    setTimeout: (...args) => setTimeout(...args).unref(),
+    clearTimeout,
+    setInterval: (...args) => setInterval(...args).unref(),
+    clearInterval,
+};
+
+const obsidian = {
+    Plugin,
+    PluginSettingTab: Placeholder,
+    Setting: Placeholder,
+    Notice,
+    Modal,
+    ItemView: Placeholder,
+};
+
+// 测试需要直接调用的内部函数
+const INTERNALS = [
+    "splitFrontMatter", "readFrontMatter", "updateFrontMatter", "setFrontMatterField",
+    "slugifyTitle", "createZip", "createTar", "deliverWebDav", "deliverS3",
+];
+
+let loaded = null;
+
+// 返回 { MultiBlogPublisher, ...内部函数 }
+function loadMain() {
+    if (loaded) return loaded;
+    const filename = path.join(__dirname, "..", "main.js");
+    const source = `${fs.readFileSync(filename, "utf8")}\nmodule.exports.internals = { ${INTERNALS.join(", ")} };\n`;
+
+    const mainModule = new Module(filename, module);
+    mainModule.filename = filename;
+    mainModule.paths = Module._nodeModulePaths(path.dirname(filename));
+
+    const originalLoad = Module._load;
+    Module._load = function (request, ...args) {
+        return request === "obsidian" ? obsidian : originalLoad.call(this, request, ...args);
+    };
+    try {
+        mainModule._compile(source, filename);
+    } finally {
+        Module._load = originalLoad;
+    }
+
+    loaded = { MultiBlogPublisher: mainModule.exports, ...mainModule.exports.internals };
+    return loaded;
+}
+
+// 创建临时目录，其中 vault 文件夹为库，files 为库中的文件（路径 → 内容）。返回临时目录
+function createVault(files = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "note-delivery-test-"));
+    for (const [file, content] of Object.entries(files)) {
+        const filePath = path.join(root, "vault", file);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+    fs.mkdirSync(path.join(root, "vault"), { recursive: true });
+    return root;
+}
+
+// 以 root/vault 为库、root/data 为插件数据目录创建插件，只加载设置，不注册界面
+async function createPlugin(root, settings) {
+    const { MultiBlogPublisher } = loadMain();
+    const app = {
+        vault: { adapter: { basePath: path.join(root, "vault") } },
+        metadataCache: { getFirstLinkpathDest: () => null },
+        workspace: { getLeavesOfType: () => [] },
+    };
+    const plugin = new MultiBlogPublisher(app, { id: "note-delivery" });
+    plugin.dataPath = path.join(root, "data");
+    plugin.stored = settings === null ? null : structuredClone(settings);
+    await plugin.loadSettings();
+    plugin.configProblems = new Map();
+    return plugin;
+}
+
+module.exports = { loadMain, createVault, createPlugin, notices, modals };
@@ -0,0 +1,33 @@
+// 发布状态面板的数据：只列出插件发布的文件为“源笔记已删除”
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createVault, createPlugin } = require("./helpers");
+
+test("只把清单中记录的文件列为源笔记已删除", async () => {
+    const root = createVault({ "posts/kept.md": "---\ntitle: A\n---\nbody", "posts/gone.md": "---\ntitle: B\n---\nbody" });
+    try {
+        const plugin = await createPlugin(root, {
+            settingsVersion: 2,
+            blogs: [{ name: "Blog", blogRepoPath: path.join(root, "blog"), pathMappings: [{ source: "posts", target: "content" }] }],
+        });
+        fs.mkdirSync(path.join(root, "blog/content"), { recursive: true });
+        await plugin.executeSyncPlan(await plugin.buildSyncPlan(), { quiet: true });
+
+        // 博客中原有的文章和已删除源笔记的文章
+        fs.writeFileSync(path.join(root, "blog/content/about.md"), "about");
+        fs.unlinkSync(path.join(root, "vault/posts/gone.md"));
+
+        const [{ notes }] = await plugin.getPublishStatus();
+        const byTarget = Object.fromEntries(notes.map(note => [note.target, note]));
+        assert.deepEqual(Object.keys(byTarget).sort(), ["content/gone.md", "content/kept.md"]);
+        assert.equal(byTarget["content/gone.md"].status, "orphaned");
+        assert.equal(byTarget["content/gone.md"].notePath, "posts/gone.md");
+        assert.equal(byTarget["content/gone.md"].owned, true);
+        assert.equal(byTarget["content/kept.md"].status, "published");
+        assert.equal(byTarget["content/kept.md"].owned, true);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,159 @@
+// 设置迁移测试：通过插件的 loadSettings 加载不同版本的 data.json，检查迁移、备份和默认值补全
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { loadMain, notices } = require("./helpers");
+
+const { MultiBlogPublisher } = loadMain();
+
+// 插件2.x之前的设置：全局源文件夹、博客的 target_folder 和 autoGit
+const LEGACY_SETTINGS = {
+    source_folder: "posts",
+    autoSlug: true,
+    blogs: [
+        { name: "Hugo", target_folder: "/blogs/hugo", enableFolderMatching: true, autoGit: true, gitPushBranch: "dev" },
+        { name: "Hexo", target_folder: "/blogs/hexo", autoGit: false },
+    ],
+};
+
+let dataPath;
+
+beforeEach(() => {
+    dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "note-delivery-test-"));
+});
+
+afterEach(() => {
+    fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+async function loadPlugin(stored) {
+    const plugin = new MultiBlogPublisher({}, { id: "note-delivery" });
+    plugin.dataPath = dataPath;
+    plugin.stored = stored === null ? null : structuredClone(stored);
+    await plugin.loadSettings();
+    return plugin;
+}
+
+function backups() {
+    const dir = path.join(dataPath, "backups");
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+test("旧版设置依次迁移到当前版本并备份原设置", async () => {
+    const plugin = await loadPlugin(LEGACY_SETTINGS);
+    const { settings } = plugin;
+
+    assert.equal(settings.settingsVersion, 2);
+    assert.equal(settings.source_folder, undefined);
+    assert.equal(settings.autoSlug, true);
+
+    const [hugo, hexo] = settings.blogs;
+    assert.equal(hugo.blogRepoPath, "/blogs/hugo");
+    assert.equal(hugo.pathMappings.length, 1);
+    assert.equal(hugo.pathMappings[0].source, "posts");
+    assert.equal(hugo.pathMappings[0].target, "");
+    assert.equal(hugo.pathMappings[0].enableFolderMatching, true);
+    assert.equal(hugo.deliveryType, "git");
+    assert.equal(hugo.gitPushBranch, "dev");
+    assert.equal(hexo.deliveryType, "none");
+    for (const blog of settings.blogs) {
+        assert.equal(blog.target_folder, undefined);
+        assert.equal(blog.enableFolderMatching, undefined);
+        assert.equal(blog.autoGit, undefined);
+        assert.ok(blog.id);
+    }
+
+    // 迁移后的设置已保存，原设置原样备份
+    assert.deepEqual(plugin.stored, settings);
+    const files = backups();
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^data-v0-/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataPath, "backups", files[0]), "utf8")), LEGACY_SETTINGS);
+});
+
+test("已迁移的设置再次加载时不再修改", async () => {
+    const first = await loadPlugin(LEGACY_SETTINGS);
+    fs.rmSync(path.join(dataPath, "backups"), { recursive: true });
+
+    const second = await loadPlugin(first.stored);
+    assert.deepEqual(second.settings, first.stored);
+    assert.equal(second.saveCount, 0);
+    assert.deepEqual(backups(), []);
+});
+
+test("来自更新版本插件的设置保持不变", async () => {
+    const future = { ...structuredClone(LEGACY_SETTINGS), settingsVersion: 99 };
+    const plugin = await loadPlugin(future);
+
+    assert.equal(plugin.settings.settingsVersion, 99);
+    assert.equal(plugin.settings.source_folder, "posts");
+    assert.equal(plugin.settings.blogs[0].autoGit, true);
+    assert.equal(plugin.settings.blogs[0].target_folder, "/blogs/hugo");
+    assert.equal(plugin.saveCount, 0);
+    assert.deepEqual(plugin.stored, future);
+    assert.deepEqual(backups(), []);
+
+    // 之后修改设置也不覆盖 data.json
+    plugin.settings.autoSlug = false;
+    await plugin.saveSettings();
+    await plugin.saveSettings();
+    assert.equal(plugin.saveCount, 0);
+    assert.deepEqual(plugin.stored, future);
+    assert.equal(notices.filter(message => message.includes("更新版本")).length, 1);
+});
+
+test("补全嵌套的默认值，不覆盖用户设置的值", async () => {
+    const plugin = await loadPlugin({
+        settingsVersion: 2,
+        maxDeletePercent: 10,
+        blogs: [{
+            id: "blog1",
+            name: "Hugo",
+            blogRepoPath: "/blogs/hugo",
+            deliveryType: "webdav",
+            hooks: { preSync: "git pull" },
+            hookTimeout: 30,
+            pathMappings: [
+                { source: "posts", target: "content", excludeTags: ["draft"] },
+                { source: "notes" },
+            ],
+        }],
+    });
+    const { settings } = plugin;
+    const [blog] = settings.blogs;
+    const [posts, notes] = blog.pathMappings;
+
+    assert.equal(settings.maxDeletePercent, 10);
+    assert.equal(settings.trashRetentionDays, 30);
+    assert.deepEqual(blog.hooks, { preSync: "git pull", preCommit: "", postPush: "" });
+    assert.equal(blog.hookTimeout, 30);
+    assert.equal(blog.deliveryType, "webdav");
+    assert.equal(blog.gitPushBranch, "main");
+    assert.equal(blog.id, "blog1");
+
+    assert.equal(posts.target, "content");
+    assert.deepEqual(posts.excludeTags, ["draft"]);
+    assert.equal(posts.attachmentsFolder, "assets");
+    assert.equal(notes.target, "");
+    assert.equal(notes.enableFolderMatching, false);
+    assert.deepEqual(notes.excludeTags, []);
+    // 每条映射的默认数组各自独立
+    notes.includeTags.push("x");
+    assert.deepEqual(posts.includeTags, []);
+
+    assert.equal(plugin.saveCount, 1);
+    assert.deepEqual(backups(), []);
+});
+
+test("新安装时使用当前版本的默认设置", async () => {
+    const plugin = await loadPlugin(null);
+    assert.equal(plugin.settings.settingsVersion, 2);
+    assert.ok(plugin.settings.blogs.length > 0);
+    for (const blog of plugin.settings.blogs) {
+        assert.ok(blog.id);
+        assert.equal(blog.deliveryType, "none");
+    }
+    assert.deepEqual(backups(), []);
+});
@@ -0,0 +1,42 @@
+// 标题slug：中文拼音、变音符号、长度限制和无法转换时的回退
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const { loadMain, createVault, createPlugin } = require("./helpers");
+
+const { slugifyTitle } = loadMain();
+
+test("中文按词语转换为拼音", () => {
+    assert.equal(slugifyTitle("重庆银行"), "chong-qing-yin-hang");
+    assert.equal(slugifyTitle("音乐会 2024"), "yin-yue-hui-2024");
+    assert.equal(slugifyTitle("Vue 3 入门指南"), "vue-3-ru-men-zhi-nan");
+    assert.equal(slugifyTitle("长大以后", { separator: "_" }), "zhang_da_yi_hou");
+});
+
+test("去掉变音符号，保留大小写设置", () => {
+    assert.equal(slugifyTitle("Café Crème à la Façon"), "cafe-creme-a-la-facon");
+    assert.equal(slugifyTitle("Ångström Über", { lowercase: false }), "Angstrom-Uber");
+});
+
+test("按单词截断到最大长度", () => {
+    assert.equal(slugifyTitle("one two three four", { maxLength: 13 }), "one-two-three");
+    assert.equal(slugifyTitle("one two three four", { maxLength: 12 }), "one-two");
+    // 第一个单词就超出时截断单词
+    assert.equal(slugifyTitle("internationalization", { maxLength: 5 }), "inter");
+    assert.equal(slugifyTitle("one two three", { maxLength: 0 }), "one-two-three");
+});
+
+test("只有表情符号时返回空，生成slug时改用数字ID", async () => {
+    assert.equal(slugifyTitle("🎉🚀"), "");
+    assert.equal(slugifyTitle("！？"), "");
+
+    const root = createVault();
+    try {
+        const plugin = await createPlugin(root, { settingsVersion: 2, slugGenerationMethod: "title", blogs: [] });
+        const slugState = { usedIds: new Set(["hello"]), nextSequential: 1 };
+        assert.equal(plugin.generateSlug("a.md", { title: "Hello" }, slugState), "hello-2");
+        assert.match(plugin.generateSlug("🎉.md", { title: "🎉🚀" }, slugState), /^\d+$/);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
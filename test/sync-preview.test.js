@@ -0,0 +1,41 @@
+// 预览同步：同步前钩子在展示计划前执行，确认后按展示的计划执行
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createVault, createPlugin, modals } = require("./helpers");
+
+test("预览展示同步前钩子执行后的计划，确认后不再执行钩子", async () => {
+    const root = createVault({ "posts/a.md": "---\ntitle: A\n---\nbody" });
+    try {
+        const plugin = await createPlugin(root, {
+            settingsVersion: 2,
+            maxDeletePercent: 0,
+            blogs: [{
+                name: "Blog",
+                blogRepoPath: path.join(root, "blog"),
+                pathMappings: [{ source: "posts", target: "content", enableFolderMatching: true }],
+                // 模拟 git pull 带来的文件，并记录钩子收到的变更文件
+                hooks: { preSync: "printf x > content/pulled.md && echo \"$NOTE_DELIVERY_CHANGED_FILES\" >> ../hook.log" },
+            }],
+        });
+        fs.mkdirSync(path.join(root, "blog/content"), { recursive: true });
+
+        await plugin.previewSync();
+        const modal = modals.pop();
+        const [mappingPlan] = modal.plan.blogs[0].mappings;
+        assert.deepEqual(mappingPlan.add, ["a.md"]);
+        assert.deepEqual(mappingPlan.delete, ["pulled.md"]);
+        assert.equal(fs.readFileSync(path.join(root, "hook.log"), "utf8"), "content/a.md\n");
+
+        await modal.onConfirm();
+        assert.deepEqual(fs.readdirSync(path.join(root, "blog/content")), ["a.md"]);
+        assert.equal(fs.readFileSync(path.join(root, "hook.log"), "utf8"), "content/a.md\n");
+
+        const [run] = await plugin.loadHistory();
+        assert.equal(run.id, modal.plan.runId);
+        assert.deepEqual(run.blogs[0].hooks.map(hook => hook.stage), ["preSync"]);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,40 @@
+// 撤回笔记：撤回后完整同步不再发布，再次指定推送后恢复
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createVault, createPlugin } = require("./helpers");
+
+test("撤回的笔记之后同步时不再发布", async () => {
+    const root = createVault({ "posts/a.md": "---\ntitle: A\n---\nbody", "posts/b.md": "---\ntitle: B\n---\nbody" });
+    try {
+        const plugin = await createPlugin(root, {
+            settingsVersion: 2,
+            blogs: [{ name: "Blog", blogRepoPath: path.join(root, "blog"), pathMappings: [{ source: "posts", target: "content" }] }],
+        });
+        fs.mkdirSync(path.join(root, "blog"));
+        const sync = async scope => plugin.executeSyncPlan(await plugin.buildSyncPlan(scope), { quiet: true });
+        const published = () => fs.readdirSync(path.join(root, "blog/content")).sort();
+
+        await sync();
+        assert.deepEqual(published(), ["a.md", "b.md"]);
+
+        await sync({ files: ["posts/a.md"], unpublish: true });
+        assert.deepEqual(published(), ["b.md"]);
+        await sync();
+        assert.deepEqual(published(), ["b.md"]);
+
+        // 改名后仍然不发布
+        fs.renameSync(path.join(root, "vault/posts/a.md"), path.join(root, "vault/posts/c.md"));
+        await plugin.onNoteRenamed({ path: "posts/c.md" }, "posts/a.md");
+        await sync();
+        assert.deepEqual(published(), ["b.md"]);
+
+        await sync({ files: ["posts/c.md"] });
+        assert.deepEqual(published(), ["b.md", "c.md"]);
+        await sync();
+        assert.deepEqual(published(), ["b.md", "c.md"]);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});